@@ -14,6 +14,14 @@ function forEachDesc(obj, fn) {
 function mergeProp(target, name, desc, enumerable) {
   if (desc.get || desc.set) {
     let d = { configurable: true };
+    let prev = getDesc(target, name);
+
+    // Getters and setters which are defined separately share a descriptor
+    if (prev && (prev.get || prev.set)) {
+      d.get = prev.get;
+      d.set = prev.set;
+    }
+
     if (desc.get) d.get = desc.get;
     if (desc.set) d.set = desc.set;
     desc = d;
@@ -38,10 +46,10 @@ exports.class = function makeClass(base, def) {
   let proto = Object.create(base && base.prototype);
   let statics = {};
 
-  def(
+  let initStatics = def(
     obj => mergeProps(proto, obj, false),
     obj => mergeProps(statics, obj, false),
-    proto,
+    base && base.prototype,
     base
   );
 
@@ -52,9 +60,32 @@ exports.class = function makeClass(base, def) {
     Object.setPrototypeOf ? Object.setPrototypeOf(ctor, base) : ctor.__proto__ = base;
   }
 
+  // Static fields are initialized with the constructor as "this"
+  if (initStatics)
+    initStatics.call(ctor);
+
   return ctor;
 };
 
+function isNativeConstructor(fn) {
+  let source = Function.prototype.toString.call(fn);
+  return /^class[ {]/.test(source) || source.indexOf('[native code]') > 0;
+}
+
+// Initializes the object for a derived constructor by calling the base
+// constructor, and returns the object which the constructor should use
+exports.construct = function construct(base, args, self) {
+  let native = isNativeConstructor(base);
+
+  // Native classes and builtins cannot initialize an existing object,
+  // so a new object is created with the correct prototype
+  if (native && typeof Reflect === 'object' && Reflect.construct)
+    return Reflect.construct(base, args, Object.getPrototypeOf(self).constructor);
+
+  let result = base.apply(self, args);
+  return Object(result) === result && !native ? result : self;
+};
+
 //// spread
 
 exports.spread = function spread(initial) {
@@ -74,10 +105,15 @@ exports.spread = function spread(initial) {
       }
       return this;
     },
+    I(list) {
+      for (let item of list)
+        this.a.push(item);
+      return this;
+    },
   };
 };
 
-//// destructuring
+//// destructuring,iterators
 
 function toObject(val) {
   if (val == null) // null or undefined
@@ -86,46 +122,320 @@ function toObject(val) {
   return Object(val);
 }
 
+function iterResult(result) {
+  if (Object(result) !== result)
+    throw new TypeError('Iterator result ' + result + ' is not an object');
+
+  return result;
+}
+
+// Steps through an iterator, remembering whether it must be closed when
+// iteration stops early
+function iterCursor(obj) {
+  let iter = toObject(obj)[Symbol.iterator]();
+
+  return {
+    done: false,
+    value: undefined,
+    next() {
+      if (this.done)
+        return false;
+
+      // Iterators which throw from next are not closed
+      this.done = true;
+
+      let result = iterResult(iter.next());
+
+      if (result.done)
+        return false;
+
+      this.done = false;
+      this.value = result.value;
+      return true;
+    },
+    close() {
+      if (this.done)
+        return;
+
+      this.done = true;
+
+      let fn = iter.return;
+
+      if (fn != null)
+        iterResult(fn.call(iter));
+    },
+    abort(error) {
+      if (!this.done) {
+        this.done = true;
+
+        // Errors from closing are ignored when iteration ends with an error
+        try {
+          let fn = iter.return;
+
+          if (fn != null)
+            fn.call(iter);
+        } catch (x) {}
+      }
+
+      return error;
+    },
+  };
+}
+
+//// destructuring
+
 exports.objd = function objd(obj) {
   return toObject(obj);
 };
 
+// Copies the own enumerable properties of an object, except for the
+// excluded keys, into a new object
+exports.objRest = function objRest(obj, excluded) {
+  let rest = {};
+  let keys = Object.getOwnPropertyNames(obj);
+
+  if (Object.getOwnPropertySymbols)
+    keys = keys.concat(Object.getOwnPropertySymbols(obj));
+
+  excluded = excluded.map(key => typeof key === 'symbol' ? key : String(key));
+
+  keys.forEach(key => {
+    let desc = Object.getOwnPropertyDescriptor(obj, key);
+
+    if (!desc || !desc.enumerable || excluded.indexOf(key) >= 0)
+      return;
+
+    Object.defineProperty(rest, key, {
+      value: obj[key],
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  });
+
+  return rest;
+};
+
 exports.arrayd = function arrayd(obj) {
   if (Array.isArray(obj)) {
     return {
       at(skip, pos) { return obj[pos]; },
       rest(skip, pos) { return obj.slice(pos); },
+      close() {},
+      abort(error) { return error; },
     };
   }
 
-  let iter = toObject(obj)[Symbol.iterator]();
+  let cursor = iterCursor(obj);
 
   return {
     at(skip) {
-      let r;
-      while (skip--) r = iter.next();
-      return r.value;
+      let value;
+      while (skip--) value = cursor.next() ? cursor.value : undefined;
+      return value;
     },
     rest(skip) {
       let a = [];
-      let r;
-      while (--skip) r = iter.next();
-      while (r = iter.next(), !r.done) a.push(r.value);
+      while (--skip) cursor.next();
+      while (cursor.next()) a.push(cursor.value);
       return a;
     },
+    close() {
+      cursor.close();
+    },
+    abort(error) {
+      return cursor.abort(error);
+    },
   };
 };
 
+//// iterators
+
+exports.iter = function iter(obj) {
+  return iterCursor(obj);
+};
+
+exports.iterClose = function iterClose(cursor) {
+  return cursor ? cursor.close() : undefined;
+};
+
+exports.iterAbort = function iterAbort(cursor, error) {
+  return cursor ? cursor.abort(error) : error;
+};
+
+//// import
+
+// Loads a module for an import() expression, returning a promise for the
+// module namespace.  Modules which contain top-level await are imported when
+// they are ready.
+exports.dynamicImport = function dynamicImport(specifier, load) {
+  let loaded = new Promise(resolve => resolve(load(String(specifier))));
+
+  return loaded.then(ns => {
+    if (ns && ns.__ready)
+      return ns.__ready.then(() => ns);
+
+    return ns;
+  });
+};
+
+//// meta
+
+// Creates the import.meta object for a module.  Outside of CommonJS the
+// module is located by the script which is being evaluated.
+exports.importMeta = function importMeta(filename, req) {
+  if (!filename || !req) {
+    let url = typeof document !== 'undefined' && document.currentScript ?
+      document.currentScript.src :
+      typeof location !== 'undefined' ? location.href : '';
+
+    return {
+      url,
+      resolve: specifier => new URL(specifier, url).href,
+    };
+  }
+
+  let toURL = path => req('url').pathToFileURL(path).href;
+  let Path = req('path');
+
+  return {
+    url: toURL(filename),
+    filename,
+    dirname: Path.dirname(filename),
+    resolve(specifier) {
+      let path = req.resolve(specifier);
+      // Builtin modules do not resolve to a file
+      return Path.isAbsolute(path) ? toURL(path) : 'node:' + path.replace(/^node:/, '');
+    },
+  };
+};
+
+//// exports
+
+// Exports the names of another module, other than "default", which are not
+// already exported
+exports.exportAll = function exportAll(target, source) {
+  Object.keys(source).forEach(name => {
+    if (name === 'default' || Object.prototype.hasOwnProperty.call(target, name))
+      return;
+
+    Object.defineProperty(target, name, {
+      enumerable: true,
+      get: () => source[name],
+    });
+  });
+};
+
+//// regexp
+
+// Attaches the names of capture groups to match results, for regular
+// expressions whose named groups were translated to numbered groups
+exports.namedRegExp = function namedRegExp(re, names) {
+  let exec = re.exec;
+  let replace = typeof Symbol === 'function' && Symbol.replace ? re[Symbol.replace] : null;
+
+  function groups(match) {
+    let result = Object.create(null);
+    Object.keys(names).forEach(name => result[name] = match[names[name]]);
+    return result;
+  }
+
+  Object.defineProperty(re, 'exec', {
+    configurable: true,
+    writable: true,
+    value(str) {
+      let match = exec.call(this, str);
+
+      if (match)
+        match.groups = groups(match);
+
+      return match;
+    },
+  });
+
+  if (!replace)
+    return re;
+
+  Object.defineProperty(re, Symbol.replace, {
+    configurable: true,
+    writable: true,
+    value(str, replacement) {
+      if (typeof replacement === 'function') {
+        let fn = replacement;
+
+        replacement = function() {
+          let args = [].slice.call(arguments);
+
+          // Engines which support named groups pass the groups object
+          if (typeof args[args.length - 1] !== 'object')
+            args.push(groups(args));
+
+          return fn.apply(this, args);
+        };
+      } else {
+        replacement = String(replacement).replace(/[$]([$]|<([^>]*)>)/g, (m, token, name) => {
+          if (token === '$')
+            return m;
+
+          if (!Object.prototype.hasOwnProperty.call(names, name))
+            return '';
+
+          // Two-digit references are not combined with any following digits
+          let index = names[name];
+          return (index < 10 ? '$0' : '$') + index;
+        });
+      }
+
+      return replace.call(this, str, replacement);
+    },
+  });
+
+  // Built-in methods which copy the expression use its species constructor,
+  // so that the copy also attaches group names
+  let species = {};
+
+  species[Symbol.species] = function(source, flags) {
+    return namedRegExp(new RegExp(source, flags), names);
+  };
+
+  [Symbol.matchAll, Symbol.split].forEach(key => {
+    let method = key && re[key];
+
+    if (!method)
+      return;
+
+    Object.defineProperty(re, key, {
+      configurable: true,
+      writable: true,
+      value() {
+        Object.defineProperty(this, 'constructor', { configurable: true, value: species });
+
+        try {
+          return method.apply(this, arguments);
+        } finally {
+          delete this.constructor;
+        }
+      },
+    });
+  });
+
+  return re;
+};
+
 //// computed
 
 exports.obj = function obj(target) {
   return {
     obj: target,
+    // Properties containing methods which use super are created by a
+    // function, which refers to the object through the builder
     p(props) {
+      if (typeof props === 'function') props = props(this);
       mergeProps(target, props, true);
       return this;
     },
     c(name, props) {
+      if (typeof props === 'function') props = props(this);
       let desc = getDesc(props, '_');
       mergeProp(target, name, getDesc(props, '_'), true);
       return this;
@@ -141,9 +451,392 @@ exports.obj = function obj(target) {
       }
       return this;
     },
+    proto(props) {
+      let value = props._;
+      if (value === null || typeof value === 'object' || typeof value === 'function') {
+        let created = Object.create(value);
+        mergeProps(created, target, true);
+        target = this.obj = created;
+      }
+      return this;
+    },
+    S(props) {
+      let source = props._;
+      if (source == null)
+        return this;
+      source = Object(source);
+      forEachDesc(source, (name, desc) => {
+        desc && desc.enumerable && defineProp(target, name, {
+          enumerable: true,
+          configurable: true,
+          writable: true,
+          value: source[name],
+        });
+      });
+      return this;
+    },
   };
 };
 
+//// private
+
+function brandCheck(store, obj, name, read) {
+  if (!store.has(obj)) {
+    throw new TypeError(read ?
+      `Cannot read private member ${ name } from an object whose class did not declare it` :
+      `Cannot write private member ${ name } to an object whose class did not declare it`);
+  }
+}
+
+function brandInit(store, obj, name) {
+  if (store.has(obj))
+    throw new TypeError(`Cannot initialize ${ name } twice on the same object`);
+}
+
+function hasBrand(store, obj, name) {
+  if (Object(obj) !== obj)
+    throw new TypeError(`Cannot use "in" operator to search for "${ name }" in ${ obj }`);
+
+  return store.has(obj);
+}
+
+exports.pfield = function privateField(name) {
+  let store = new WeakMap();
+
+  return {
+    has(obj) { return hasBrand(store, obj, name); },
+
+    init(obj, value) {
+      brandInit(store, obj, name);
+      store.set(obj, value);
+    },
+
+    get(obj) {
+      brandCheck(store, obj, name, true);
+      return store.get(obj);
+    },
+
+    set(obj, value) {
+      brandCheck(store, obj, name, false);
+      store.set(obj, value);
+      return value;
+    },
+  };
+};
+
+exports.pmethod = function privateMethod(name, method) {
+  let store = new WeakSet();
+
+  return {
+    has(obj) { return hasBrand(store, obj, name); },
+
+    init(obj) {
+      brandInit(store, obj, name);
+      store.add(obj);
+    },
+
+    get(obj) {
+      brandCheck(store, obj, name, true);
+      return method;
+    },
+
+    set(obj) {
+      brandCheck(store, obj, name, false);
+      throw new TypeError(`Private method ${ name } is not writable`);
+    },
+  };
+};
+
+exports.paccessor = function privateAccessor(name, getter, setter) {
+  let store = new WeakSet();
+
+  return {
+    has(obj) { return hasBrand(store, obj, name); },
+
+    init(obj) {
+      brandInit(store, obj, name);
+      store.add(obj);
+    },
+
+    get(obj) {
+      brandCheck(store, obj, name, true);
+
+      if (!getter)
+        throw new TypeError(`${ name } was defined without a getter`);
+
+      return getter.call(obj);
+    },
+
+    set(obj, value) {
+      brandCheck(store, obj, name, false);
+
+      if (!setter)
+        throw new TypeError(`${ name } was defined without a setter`);
+
+      setter.call(obj, value);
+      return value;
+    },
+  };
+};
+
+//// tdz
+
+// Block-scoped bindings hold this value until they are initialized
+const UNINITIALIZED = {};
+
+exports.tdz = UNINITIALIZED;
+
+exports.tdzCheck = function tdzCheck(value, name) {
+  if (value === UNINITIALIZED)
+    throw new ReferenceError("Cannot access '" + name + "' before initialization");
+
+  return value;
+};
+
+//// generators
+
+const CONTINUE = {};
+
+function normalCompletion() {
+  return { type: 'normal', arg: undefined };
+}
+
+exports.gen = function gen(fn, self, tryLocs, jumps) {
+  const START = 0;
+  const SUSPENDED = 1;
+  const RUNNING = 2;
+  const DONE = 3;
+
+  let state = START;
+
+  // The root entry handles completions which are not caught within the function
+  let entries = [{ root: true, completion: normalCompletion() }];
+
+  (tryLocs || []).forEach(locs => entries.push({
+    tryLoc: locs[0],
+    catchLoc: locs[1],
+    finallyLoc: locs[2],
+    afterLoc: locs[3],
+    completion: normalCompletion(),
+  }));
+
+  let ctx = {
+    n: 0,
+    p: 0,
+    l: jumps,
+    sent: undefined,
+    done: false,
+    method: 'next',
+    arg: undefined,
+    rval: undefined,
+    inner: null,
+
+    stop() {
+      ctx.done = true;
+      let root = entries[0].completion;
+      if (root.type === 'throw') throw root.arg;
+      return ctx.rval;
+    },
+
+    abrupt(type, arg) {
+      let entry = null;
+
+      for (let i = entries.length - 1; i > 0; --i) {
+        let e = entries[i];
+        if (e.finallyLoc !== undefined && e.tryLoc <= ctx.p && ctx.p < e.finallyLoc) {
+          entry = e;
+          break;
+        }
+      }
+
+      // Jumps which do not leave the try statement do not run the finalizer
+      if (entry && type !== 'return' && entry.tryLoc <= arg && arg <= entry.finallyLoc)
+        entry = null;
+
+      if (entry) {
+        entry.completion = { type, arg };
+        ctx.n = entry.finallyLoc;
+      } else if (type === 'return') {
+        ctx.rval = arg;
+        ctx.n = 'end';
+      } else {
+        ctx.n = arg;
+      }
+
+      return CONTINUE;
+    },
+
+    finish(finallyLoc) {
+      for (let i = entries.length - 1; i > 0; --i) {
+        let entry = entries[i];
+        if (entry.finallyLoc === finallyLoc) {
+          let record = entry.completion;
+          entry.completion = normalCompletion();
+
+          if (record.type === 'throw')
+            throw record.arg;
+
+          if (record.type === 'normal') {
+            ctx.n = entry.afterLoc;
+            return CONTINUE;
+          }
+
+          // Continue the completion through any outer finalizers
+          return ctx.abrupt(record.type, record.arg);
+        }
+      }
+    },
+
+    caught(tryLoc) {
+      for (let i = entries.length - 1; i > 0; --i) {
+        let entry = entries[i];
+        if (entry.tryLoc === tryLoc) {
+          let record = entry.completion;
+          entry.completion = normalCompletion();
+          return record.arg;
+        }
+      }
+    },
+
+    delegate(iterable) {
+      ctx.inner = iterable[Symbol.iterator]();
+      ctx.arg = undefined;
+      return CONTINUE;
+    },
+  };
+
+  function dispatch(x) {
+    for (let i = entries.length - 1; i >= 0; --i) {
+      let entry = entries[i];
+      let loc;
+
+      if (entry.root) {
+        loc = 'end';
+      } else if (entry.tryLoc <= ctx.p) {
+        if (entry.catchLoc !== undefined && ctx.p < entry.catchLoc)
+          loc = entry.catchLoc;
+        else if (entry.finallyLoc !== undefined && ctx.p < entry.finallyLoc)
+          loc = entry.finallyLoc;
+      }
+
+      if (loc !== undefined) {
+        entry.completion = { type: 'throw', arg: x };
+        ctx.n = loc;
+        return;
+      }
+    }
+  }
+
+  function resumeDelegate() {
+    let inner = ctx.inner;
+    let method = inner[ctx.method];
+    let result;
+
+    if (method === undefined) {
+      ctx.inner = null;
+
+      if (ctx.method === 'throw') {
+        if (inner.return) inner.return();
+        ctx.arg = new TypeError('The iterator does not provide a throw method');
+      }
+
+      return null;
+    }
+
+    try {
+      result = method.call(inner, ctx.arg);
+    } catch (x) {
+      ctx.inner = null;
+      ctx.method = 'throw';
+      ctx.arg = x;
+      return null;
+    }
+
+    if (Object(result) !== result) {
+      ctx.inner = null;
+      ctx.method = 'throw';
+      ctx.arg = new TypeError('Iterator result ' + result + ' is not an object');
+      return null;
+    }
+
+    if (!result.done)
+      return result;
+
+    ctx.inner = null;
+    ctx.arg = result.value;
+
+    if (ctx.method === 'throw')
+      ctx.method = 'next';
+
+    return null;
+  }
+
+  function resume(method, arg) {
+    if (state === RUNNING)
+      throw new TypeError('Generator is already running');
+
+    if (state === START && method !== 'next')
+      state = DONE;
+
+    if (state === DONE) {
+      if (method === 'throw') throw arg;
+      return { value: method === 'return' ? arg : undefined, done: true };
+    }
+
+    ctx.method = method;
+    ctx.arg = arg;
+
+    while (true) {
+      if (ctx.inner) {
+        let result = resumeDelegate();
+        if (result) return result;
+      }
+
+      if (ctx.method === 'throw') {
+        if (ctx.done) {
+          state = DONE;
+          throw ctx.arg;
+        }
+        dispatch(ctx.arg);
+      } else if (ctx.method === 'return') {
+        ctx.abrupt('return', ctx.arg);
+      } else {
+        ctx.sent = ctx.arg;
+      }
+
+      ctx.method = 'next';
+      ctx.arg = undefined;
+      state = RUNNING;
+
+      let value;
+
+      try {
+        value = fn.call(self, ctx);
+      } catch (x) {
+        ctx.method = 'throw';
+        ctx.arg = x;
+        continue;
+      }
+
+      state = ctx.done ? DONE : SUSPENDED;
+
+      if (value !== CONTINUE)
+        return { value, done: ctx.done };
+    }
+  }
+
+  let iter = {
+    next(value) { return resume('next', value); },
+    throw(value) { return resume('throw', value); },
+    return(value) { return resume('return', value); },
+  };
+
+  if (typeof Symbol === 'function' && Symbol.iterator)
+    iter[Symbol.iterator] = function() { return this; };
+
+  return iter;
+};
+
 //// async
 
 exports.async = function asyncFunction(iter) {
@@ -166,11 +859,74 @@ exports.async = function asyncFunction(iter) {
   });
 };
 
+// Evaluates the body of a module which contains top-level await, exposing a
+// promise for its completion as the "__ready" property of the module's exports.
+// The body is evaluated like an async function and returns a promise.
+exports.asyncModule = function asyncModule(moduleExports, body) {
+  let ready = body();
+  Object.defineProperty(moduleExports, '__ready', { value: ready, configurable: true });
+  return ready;
+};
+
 exports.asyncIter = function asyncIter(obj) {
   let method = obj[Symbol.asyncIterator] || obj[Symbol.iterator];
   return method.call(obj);
 };
 
+// Steps through an async iterator in the same way as iterCursor, except that
+// each method returns a promise
+exports.asyncIterCursor = function asyncIterCursor(obj) {
+  let iter = exports.asyncIter(obj);
+
+  return {
+    done: false,
+    value: undefined,
+    next() {
+      if (this.done)
+        return Promise.resolve(false);
+
+      // Iterators which throw from next are not closed
+      this.done = true;
+
+      return Promise.resolve(iter.next()).then(result => {
+        if (iterResult(result).done)
+          return false;
+
+        return Promise.resolve(result.value).then(value => {
+          this.done = false;
+          this.value = value;
+          return true;
+        });
+      });
+    },
+    close() {
+      if (this.done)
+        return Promise.resolve();
+
+      this.done = true;
+
+      let fn = iter.return;
+
+      if (fn == null)
+        return Promise.resolve();
+
+      return Promise.resolve(fn.call(iter)).then(iterResult);
+    },
+    abort(error) {
+      if (this.done)
+        return Promise.resolve(error);
+
+      this.done = true;
+
+      // Errors from closing are ignored when iteration ends with an error
+      return new Promise(resolve => {
+        let fn = iter.return;
+        resolve(fn == null ? undefined : fn.call(iter));
+      }).then(() => error, () => error);
+    },
+  };
+};
+
 exports.asyncGen = function asyncGen(iter) {
   let front = null;
   let back = null;
@@ -1,4 +1,5 @@
 import * as Path from 'path';
+import { pathToFileURL } from 'url';
 import { readFile, writeFile } from './AsyncFS.js';
 import { locateModule } from './Locator.js';
 import { translate, wrapModule } from './Translator.js';
@@ -14,7 +15,10 @@ const BUNDLE_INIT =
       'if (typeof m === "function") { ' +
         'f = m; ' +
         'm = i ? { exports: {} } : module; ' +
-        'f(list[i] = m, m.exports); ' +
+        'list[i] = m; ' +
+        // Modules in a cycle can import the exports object before it is complete
+        'm.__es = m.exports; ' +
+        'f(m, m.exports); ' +
         'e = m.exports; ' +
         'm.__es = Object(e) !== e || e.constructor === Object ? e : ' +
           'Object.create(e, { "default": { value: e } }); ' +
@@ -22,11 +26,30 @@ const BUNDLE_INIT =
       'return es ? m.__es : m.exports; ' +
     '}; ' +
 
-    'for (var i = 0; i < a.length; i += 2) { ' +
-      'var j = Math.abs(a[i]); ' +
-      'list[j] = a[i + 1]; ' +
-      'if (a[i] >= 0) __M(j); ' +
+    // Once a module with top-level await is found, the remaining modules are
+    // initialized after it is ready
+    'var ready = null; ' +
+
+    // The root module's exports may hold the bundle's own promise
+    'function wait(j) { ' +
+      'var e = __M(j); ' +
+      'return e && e.__ready !== ready && e.__ready || null; ' +
+    '} ' +
+
+    'function init(j) { ' +
+      'ready = ready ? ready.then(function() { return wait(j); }) : wait(j); ' +
     '} ' +
+
+    // All modules are registered before any are initialized, so that modules
+    // in a cycle can load modules which appear later in the list
+    'for (var i = 0; i < a.length; i += 2) ' +
+      'list[Math.abs(a[i])] = a[i + 1]; ' +
+
+    'for (var i = 0; i < a.length; i += 2) ' +
+      'if (a[i] >= 0) init(a[i]); ' +
+
+    'if (ready) ' +
+      'Object.defineProperty(module.exports, "__ready", { value: ready, configurable: true }); ' +
   '})';
 
 const BROKEN_LINK = '##broken_link##';
@@ -36,11 +59,17 @@ class Node {
     this.path = path;
     this.id = id;
     this.edges = new Map;
+    this.staticEdges = new Map;
     this.output = null;
     this.runtime = [];
     this.legacy = false;
     this.importCount = 0;
     this.ignore = false;
+    this.exportNames = [];
+    this.reexports = {};
+    this.specifiers = new Map;
+    this.starExports = [];
+    this.deferred = false;
   }
 }
 
@@ -51,6 +80,11 @@ class GraphBuilder {
     this.nextID = 0;
     this.allowBrokenLinks = Boolean(options.allowBrokenLinks);
     this.deep = Boolean(options.deep);
+    this.generators = Boolean(options.generators);
+    this.tdz = Boolean(options.tdz);
+    this.liveExports = Boolean(options.liveExports);
+    this.spec = Boolean(options.spec);
+    this.semantics = options.semantics || 'loose';
     this.root = this.add(root);
   }
 
@@ -75,21 +109,68 @@ class GraphBuilder {
     let visited = new Set;
     let list = [];
 
-    let visit = key => {
+    let visit = (key, edges) => {
       if (visited.has(key))
         return;
 
       visited.add(key);
       let node = this.nodes.get(key);
-      node.edges.forEach((node, key) => visit(key));
+      node[edges].forEach((node, key) => visit(key, edges));
       list.push(node);
     };
 
-    visit(key);
+    // Statically imported modules are listed in the order that they would be
+    // evaluated, followed by modules which are only loaded by import()
+    visit(key, 'staticEdges');
+    list.slice().forEach(node => node.edges.forEach((node, key) => visit(key, 'edges')));
+
     return list;
   }
 
-  addEdge(node, spec, fromRequire) {
+  // Returns the strongly connected components of the static import graph
+  // which contain more than one module, with the module which is evaluated
+  // first listed first
+  findCycles(key = this.root.path) {
+    let index = new Map;
+    let lowLink = new Map;
+    let stack = [];
+    let cycles = [];
+
+    let visit = node => {
+      index.set(node, index.size);
+      lowLink.set(node, index.get(node));
+      stack.push(node);
+
+      node.staticEdges.forEach(target => {
+        if (!index.has(target)) {
+          visit(target);
+          lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(target)));
+        } else if (stack.indexOf(target) >= 0) {
+          lowLink.set(node, Math.min(lowLink.get(node), index.get(target)));
+        }
+      });
+
+      if (lowLink.get(node) !== index.get(node))
+        return;
+
+      let component = stack.splice(stack.indexOf(node));
+
+      if (component.length > 1)
+        cycles.push(component);
+    };
+
+    visit(this.nodes.get(key));
+
+    // Modules which are only loaded by import() can also form cycles
+    this.nodes.forEach(node => {
+      if (!index.has(node))
+        visit(node);
+    });
+
+    return cycles;
+  }
+
+  addEdge(node, spec, fromRequire, dynamic) {
     let key = spec;
     let legacy = false;
     let ignore = false;
@@ -132,10 +213,15 @@ class GraphBuilder {
       target.ignore = ignore;
     }
 
-    if (!fromRequire)
+    // Modules which are only loaded by import() are initialized on demand
+    if (!fromRequire && !dynamic)
       target.importCount++;
 
     node.edges.set(key, target);
+
+    if (!dynamic)
+      node.staticEdges.set(key, target);
+
     return target;
   }
 
@@ -151,15 +237,29 @@ class GraphBuilder {
       input = 'module.exports = ' + input + ';';
 
     node.output = translate(input, {
-      identifyModule: path => `__M(${ this.addEdge(node, path, false).id }, 1)`,
+      identifyModule: path => {
+        let target = this.addEdge(node, path, false);
+        node.specifiers.set(path, target);
+        return `__M(${ target.id }, 1)`;
+      },
       replaceRequire: path => {
         let n = this.addEdge(node, path, true);
         return n ? `__M(${ n.id }, 0)` : null;
       },
+      replaceImport: path => `__M(${ this.addEdge(node, path, false, true).id }, 1)`,
+      replaceExportAll: (path, text) => this.addStarExport(node, path, text),
+      importMeta: () => this.importMeta(node),
+      resolveMeta: spec => this.resolveMeta(node, spec),
       module: !node.legacy,
       functionContext: node.legacy,
       noWrap: true,
       noShebang: true,
+      loadImports: true,
+      generators: this.generators,
+      tdz: this.tdz,
+      liveExports: this.liveExports,
+      spec: this.spec,
+      semantics: this.semantics,
       result,
     });
 
@@ -167,6 +267,152 @@ class GraphBuilder {
       node.output = "'use strict'; " + node.output;
 
     node.runtime = result.runtime;
+    node.exportNames = result.exportNames;
+    node.reexports = result.reexports;
+  }
+
+  // Returns a placeholder for an export-all declaration, which is replaced
+  // once the export names of every module are known
+  addStarExport(node, path, text) {
+    let target = this.addEdge(node, path, false);
+    let token = `/*##star_export_${ node.starExports.length }##*/`;
+
+    node.starExports.push({ target, token, text });
+    return token;
+  }
+
+  // Returns a map from the names exported by a module to the bindings which
+  // define them, or null if the names cannot be determined statically
+  resolveExports(node, visited = new Set, bindings = new Set) {
+    if (node.legacy || node.ignore || node.path === BROKEN_LINK)
+      return null;
+
+    let map = new Map;
+
+    // Circular export-all declarations do not export any additional names
+    if (visited.has(node))
+      return map;
+
+    visited.add(node);
+    node.exportNames.forEach(name => map.set(name, this.resolveBinding(node, name, bindings)));
+
+    for (let star of node.starExports) {
+      let names = this.resolveExports(star.target, visited, bindings);
+
+      if (!names)
+        return null;
+
+      names.forEach((binding, name) => {
+        if (name === 'default' || node.exportNames.indexOf(name) >= 0)
+          return;
+
+        let previous = map.get(name);
+
+        // The same binding may be exported through more than one path
+        if (previous && (previous.node !== binding.node || previous.name !== binding.name))
+          throw new Error(`Ambiguous export '${ name }' in module '${ node.path }'`);
+
+        map.set(name, binding);
+      });
+    }
+
+    return map;
+  }
+
+  // Returns the module and export name which define a binding exported by a
+  // module, following re-exports of imported bindings
+  resolveBinding(node, name, bindings) {
+    let key = `${ node.id }:${ name }`;
+    let source = node.reexports[name];
+    let target = source && node.specifiers.get(source.url);
+
+    // Circular re-exports cannot be resolved any further
+    if (!target || bindings.has(key))
+      return { node, name };
+
+    bindings.add(key);
+
+    // Namespace objects are defined by the module they refer to
+    if (source.name === '*')
+      return { node: target, name: '*' };
+
+    if (target.exportNames.indexOf(source.name) >= 0)
+      return this.resolveBinding(target, source.name, bindings);
+
+    // The name may be exported by an export-all declaration of the target
+    let names = this.resolveExports(target, new Set, bindings);
+    let binding = names && names.get(source.name);
+
+    return binding || { node: target, name: source.name };
+  }
+
+  // Replaces export-all declarations with explicit exports of each name
+  expandStarExports(node) {
+    if (node.starExports.length === 0)
+      return;
+
+    // Reports ambiguous names
+    this.resolveExports(node);
+
+    let exported = new Set(node.exportNames);
+
+    node.starExports.forEach(star => {
+      let names = this.resolveExports(star.target);
+      let text = star.text;
+
+      if (names) {
+        let from = `__M(${ star.target.id }, 1)`;
+        let list = [];
+
+        names.forEach((binding, name) => {
+          if (name === 'default' || exported.has(name))
+            return;
+
+          exported.add(name);
+          list.push(name);
+        });
+
+        if (this.liveExports) {
+          let getters = list.map(name =>
+            `${ name }: { enumerable: true, get: function() { return ${ from }.${ name }; } }`
+          );
+
+          text = list.length > 0 ?
+            `Object.defineProperties(exports, { ${ getters.join(', ') } });` :
+            '';
+        } else {
+          text = list.map(name => `exports.${ name } = ${ from }.${ name };`).join(' ');
+        }
+      }
+
+      node.output = node.output.replace(star.token, () => text);
+    });
+  }
+
+  // Returns an object literal for import.meta, using the location of the
+  // module at bundle time
+  importMeta(node) {
+    let url = JSON.stringify(pathToFileURL(node.path).href);
+
+    return '{ ' +
+      `url: ${ url }, ` +
+      `filename: ${ JSON.stringify(node.path) }, ` +
+      `dirname: ${ JSON.stringify(node.base) }, ` +
+      `resolve: function(s) { return /^\\.{0,2}\\//.test(s) ? new URL(s, ${ url }).href : s; } ` +
+    '}';
+  }
+
+  // Resolves a literal import.meta.resolve specifier with the module locator.
+  // Specifiers which cannot be located are resolved at runtime.
+  resolveMeta(node, spec) {
+    if (isNodeModule(spec))
+      return 'node:' + spec.replace(/^node:/, '');
+
+    try {
+      return pathToFileURL(locateModule(spec, node.base).path).href;
+    } catch (x) {
+      return null;
+    }
   }
 
 }
@@ -175,6 +421,7 @@ export function bundle(rootPath, options = {}) {
   rootPath = Path.resolve(rootPath);
 
   let builder = new GraphBuilder(rootPath, options);
+  let warn = options.onWarning || (message => console.warn(message));
   let visited = new Set;
   let pending = 0;
   let resolver;
@@ -213,12 +460,25 @@ export function bundle(rootPath, options = {}) {
   return allFetched.then(() => {
     let runtimeSet = new Set();
 
+    builder.nodes.forEach(node => builder.expandStarExports(node));
+
+    // Modules in a cycle are evaluated when the first module of the cycle is
+    // evaluated, in the order that they are imported
+    builder.findCycles().forEach(cycle => {
+      cycle.slice(1).forEach(node => node.deferred = true);
+
+      let base = Path.dirname(rootPath);
+      let names = cycle.concat(cycle[0]).map(node => Path.relative(base, node.path));
+
+      warn(`Circular dependency: ${ names.join(' -> ') }`);
+    });
+
     let output = builder.sort().map(node => {
       node.runtime.forEach(name => runtimeSet.add(name));
 
       let id = node.id;
 
-      if (node.importCount === 0)
+      if (node.importCount === 0 || node.deferred)
         id = -id;
 
       let init = node.output === null ?
@@ -3,9 +3,10 @@ import * as REPL from 'repl';
 import * as VM from 'vm';
 import * as Path from 'path';
 import * as Util from 'util';
+import { pathToFileURL } from 'url';
 
 import { ConsoleStyle as Style } from 'zen-cmd';
-import { parse } from 'esparse';
+import { parse } from './Parser.js';
 import { translate } from './Translator.js';
 import { locateModule } from './Locator.js';
 import { isPackageSpecifier, isNodeModule } from './Specifier.js';
@@ -57,6 +58,25 @@ function addExtension() {
     return e;
   };
 
+  Module.prototype.importMeta = function() {
+    let dirname = Path.dirname(this.filename);
+
+    return {
+      url: pathToFileURL(this.filename).href,
+      filename: this.filename,
+      dirname,
+      resolve(specifier) {
+        if (/^node:/.test(specifier))
+          return specifier;
+
+        if (isNodeModule(specifier))
+          return 'node:' + specifier;
+
+        return pathToFileURL(locateModule(specifier, dirname).path).href;
+      },
+    };
+  };
+
   Module._load = (request, parent, isMain) => {
     if (request.endsWith('##ES6')) {
       let loc = locateModule(request.slice(0, -5), Path.dirname(parent.filename));
@@ -79,6 +99,7 @@ function addExtension() {
         module: m,
         functionContext: !m,
         runtimeImports: true,
+        importMeta: () => 'module.importMeta()',
       });
     } catch (e) {
       if (e instanceof SyntaxError)
@@ -107,10 +128,18 @@ export function runModule(path) {
   if (m && m.constructor !== Object)
     m = Object.create(m, { default: { value: m } });
 
-  if (m && typeof m.main === 'function') {
-    let result = m.main();
-    Promise.resolve(result).then(null, x => setTimeout(() => { throw x; }, 0));
-  }
+  let run = () => {
+    if (m && typeof m.main === 'function')
+      return m.main();
+  };
+
+  let fail = x => setTimeout(() => { throw x; }, 0);
+
+  // Modules which contain top-level await are ready when their body completes
+  if (m && m.__ready)
+    m.__ready.then(run).then(null, fail);
+  else
+    Promise.resolve(run()).then(null, fail);
 }
 
 export function startREPL() {
@@ -0,0 +1,694 @@
+import { AST } from 'esparse';
+import { Parser as BaseParser } from 'node:esparse/dist/Parser';
+import { Scanner as BaseScanner } from 'node:esparse/dist/Scanner';
+import { isIdentifierStart } from 'node:esparse/dist/Unicode';
+import { ScopeResolver as BaseScopeResolver } from 'node:esparse/dist/ScopeResolver';
+
+function isNode(x) {
+  return x !== null && typeof x === 'object' && typeof x.type === 'string';
+}
+
+// The common prototype of AST nodes
+export class Node {
+
+  children() {
+    let keys = Object.keys(this);
+    let list = [];
+
+    for (let i = 0; i < keys.length; ++i) {
+      // Properties added after parsing are not traversed
+      if (keys[i] === 'parent')
+        break;
+
+      let value = this[keys[i]];
+
+      if (Array.isArray(value)) {
+
+        for (let j = 0; j < value.length; ++j) {
+          if (isNode(value[j]))
+            list.push(value[j]);
+        }
+
+      } else if (isNode(value)) {
+
+        list.push(value);
+
+      }
+    }
+
+    return list;
+  }
+
+}
+
+// a?.b.c is represented as an OptionalExpression whose object is "a" and whose
+// expression is the chain of member accesses and calls following "?.",
+// beginning with an OptionalChain
+function OptionalExpression(object, expression) {
+  this.type = 'OptionalExpression';
+  this.start = -1;
+  this.end = -1;
+  this.object = object;
+  this.expression = expression;
+}
+
+function OptionalChain() {
+  this.type = 'OptionalChain';
+  this.start = -1;
+  this.end = -1;
+}
+
+// The value of #x is "x"
+function PrivateName(value) {
+  this.type = 'PrivateName';
+  this.start = -1;
+  this.end = -1;
+  this.value = value;
+}
+
+Object.keys(AST).forEach(k => {
+  if (/^[A-Z]/.test(k))
+    AST[k].prototype = Node.prototype;
+});
+
+// static { ... }
+function StaticBlock(statements) {
+  this.type = 'StaticBlock';
+  this.start = -1;
+  this.end = -1;
+  this.statements = statements;
+}
+
+[OptionalExpression, OptionalChain, PrivateName, StaticBlock].forEach(fn => {
+  fn.prototype = Node.prototype;
+});
+
+function isDecimalDigit(chr) {
+  return chr >= '0' && chr <= '9';
+}
+
+function isDecimalCode(code) {
+  return code >= 48 && code <= 57;
+}
+
+function isBinaryCode(code) {
+  return code === 48 || code === 49;
+}
+
+function isOctalCode(code) {
+  return code >= 48 && code <= 55;
+}
+
+function isHexCode(code) {
+  return (
+    code >= 48 && code <= 57 ||
+    code >= 65 && code <= 70 ||
+    code >= 97 && code <= 102
+  );
+}
+
+function isLogicalAssignment(op) {
+  return op === '&&=' || op === '||=' || op === '??=';
+}
+
+// Extends the scanner with tokens that it does not recognize
+class Scanner extends BaseScanner {
+
+  // An explicit constructor is required for bootstrapping with esdown 1.2
+  constructor(input, offset) {
+    super(input, offset);
+  }
+
+  Start(context) {
+    if (this.peekChar() !== '#')
+      return BaseScanner.prototype.Start.call(this, context);
+
+    // #name
+    this.offset++;
+
+    let cp = this.peekCodePoint();
+
+    if (cp !== 92 && !isIdentifierStart(cp))
+      return this.Error();
+
+    return this.Identifier('name', cp) === 'IDENTIFIER' ? 'PRIVATE' : 'ILLEGAL';
+  }
+
+  Punctuator() {
+    let op = BaseScanner.prototype.Punctuator.call(this);
+
+    // &&= and ||=
+    if ((op === '&&' || op === '||') && this.peekChar() === '=') {
+      this.offset++;
+      return op + '=';
+    }
+
+    return op;
+  }
+
+  PunctuatorChar() {
+    let chr = this.readChar();
+
+    if (chr === '?') {
+      switch (this.peekChar()) {
+        case '?':
+          this.offset++;
+
+          if (this.peekChar() === '=') {
+            this.offset++;
+            return '??=';
+          }
+
+          return '??';
+
+        case '.':
+          // a?.5:b is a conditional expression
+          if (isDecimalDigit(this.peekCharAt(1)))
+            break;
+
+          this.offset++;
+          return '?.';
+      }
+    }
+
+    return chr;
+  }
+
+  // Reads a sequence of digits, which may be separated by single underscores,
+  // and returns the digits without separators
+  readDigits(isDigit) {
+    let start = this.offset;
+    let code = 0;
+
+    while (code = this.peekCode()) {
+      if (isDigit(code)) {
+        this.offset++;
+      } else if (
+        code === 95 &&
+        this.offset > start &&
+        isDigit(this.peekCodeAt(1))
+      ) {
+        this.offset++;
+      } else {
+        break;
+      }
+    }
+
+    return this.input.slice(start, this.offset).replace(/_/g, '');
+  }
+
+  Number() {
+    // 0_1 is not a valid literal
+    if (this.peekCode() === 48 && this.peekCodeAt(1) === 95)
+      return this.Error();
+
+    let text = this.readDigits(isDecimalCode);
+    let next = '';
+    let val;
+
+    if (this.readIntegerSuffix()) {
+
+      val = parseInt(text, 10);
+
+    } else {
+
+      if ((next = this.peekChar()) === '.') {
+        this.offset++;
+        text += '.' + this.readDigits(isDecimalCode);
+        next = this.peekChar();
+      }
+
+      if (next === 'e' || next === 'E') {
+        this.offset++;
+        text += 'e';
+
+        next = this.peekChar();
+
+        if (next === '+' || next === '-') {
+          this.offset++;
+          text += next;
+        }
+
+        let exponent = this.readDigits(isDecimalCode);
+
+        if (!exponent)
+          return this.Error();
+
+        text += exponent;
+      }
+
+      val = parseFloat(text);
+    }
+
+    if (!this.peekNumberFollow())
+      return this.Error();
+
+    this.number = val;
+
+    return 'NUMBER';
+  }
+
+  BinaryNumber() {
+    return this.RadixNumber(2, isBinaryCode);
+  }
+
+  OctalNumber() {
+    return this.RadixNumber(8, isOctalCode);
+  }
+
+  HexNumber() {
+    return this.RadixNumber(16, isHexCode);
+  }
+
+  RadixNumber(radix, isDigit) {
+    this.offset += 2;
+
+    let val = parseInt(this.readDigits(isDigit), radix);
+    this.readIntegerSuffix();
+
+    if (!this.peekNumberFollow())
+      return this.Error();
+
+    this.number = val;
+
+    return 'NUMBER';
+  }
+
+}
+
+// Extends the parser with syntax that it does not recognize
+class Parser extends BaseParser {
+
+  constructor(input, options = {}) {
+    super(input, options);
+
+    this.scanner = new Scanner(input, options.offset);
+    this.tokenStash = new Scanner();
+    this.classDepth = 0;
+  }
+
+  // Modules are evaluated like the body of an async function, which allows
+  // top-level await
+  ModuleItemList() {
+    this.context.isAsync = true;
+    this.context.functionBody = true;
+
+    return BaseParser.prototype.ModuleItemList.call(this);
+  }
+
+  PrivateName() {
+    let token = this.readToken('PRIVATE', 'name');
+    return this.node(new PrivateName(token.value), token.start, token.end);
+  }
+
+  // Private names may follow "." within class bodies
+  IdentifierName() {
+    if (this.classDepth > 0 && this.peek('name') === 'PRIVATE')
+      return this.PrivateName();
+
+    return BaseParser.prototype.IdentifierName.call(this);
+  }
+
+  PropertyName() {
+    if (this.context.classElementName && this.peek('name') === 'PRIVATE')
+      return this.PrivateName();
+
+    return BaseParser.prototype.PropertyName.call(this);
+  }
+
+  PrimaryExpression() {
+    // #x in obj
+    if (this.classDepth > 0 && this.peek() === 'PRIVATE' && this.peekAt('div', 1) === 'in')
+      return this.PrivateName();
+
+    return BaseParser.prototype.PrimaryExpression.call(this);
+  }
+
+  // Static blocks may refer to "this" and "super" properties, but may not
+  // contain return statements or refer to labels outside of the block
+  StaticBlock(start) {
+    this.pushContext();
+    this.context.isMethod = true;
+
+    this.read('{');
+    let statements = this.StatementList(false);
+    this.read('}');
+
+    this.popContext();
+
+    return this.node(new StaticBlock(statements), start);
+  }
+
+  ClassField(name) {
+    // Object literals within field initializers cannot have private names
+    this.context.classElementName = false;
+    return BaseParser.prototype.ClassField.call(this, name);
+  }
+
+  AssignmentExpression(noIn, allowSpread) {
+    let start = this.nodeStart();
+    let node = BaseParser.prototype.AssignmentExpression.call(this, noIn, allowSpread);
+
+    // Logical assignment operators require a simple assignment target
+    if (!isLogicalAssignment(this.peek('div')))
+      return node;
+
+    this.checkAssignmentTarget(this.unwrapParens(node), true);
+
+    return this.node(
+      new AST.AssignmentExpression(node, this.read(), this.AssignmentExpression(noIn)),
+      start
+    );
+  }
+
+  BinaryExpression(noIn) {
+    let expr = BaseParser.prototype.BinaryExpression.call(this, noIn);
+
+    // "??" has a lower precedence than all other binary operators, and
+    // cannot be mixed with "&&" or "||" without parentheses
+    while (this.peek('div') === '??') {
+      this.read();
+
+      let right = BaseParser.prototype.BinaryExpression.call(this, noIn);
+
+      [expr, right].forEach(operand => {
+        if (operand.operator === '&&' || operand.operator === '||')
+          this.fail('Cannot mix ?? with && or || without parentheses', operand);
+      });
+
+      expr = this.node(new AST.BinaryExpression(expr, '??', right), expr.start, right.end);
+    }
+
+    return expr;
+  }
+
+  MemberExpression(allowCall) {
+    let start = this.nodeStart();
+    let expr = BaseParser.prototype.MemberExpression.call(this, allowCall);
+
+    while (this.peek('div') === '?.') {
+      if (!allowCall)
+        this.fail('Invalid optional chain in new expression');
+
+      expr = this.node(new OptionalExpression(expr, this.OptionalChain()), start);
+    }
+
+    if (expr.type === 'OptionalExpression' && this.peek('div') === 'TEMPLATE')
+      this.fail('Invalid tagged template on optional chain');
+
+    return expr;
+  }
+
+  // Parses the member accesses and calls which follow "?."
+  OptionalChain() {
+    let start = this.readToken('?.').start;
+    let expr = this.node(new OptionalChain(), start);
+
+    switch (this.peek('name')) {
+      case '(':
+      case '[':
+        break;
+
+      default:
+        expr = this.node(new AST.MemberExpression(expr, this.IdentifierName()), start);
+        break;
+    }
+
+    while (true) {
+      switch (this.peek('div')) {
+        case '.':
+          this.read();
+          expr = this.node(new AST.MemberExpression(expr, this.IdentifierName()), start);
+          break;
+
+        case '[':
+          expr = this.node(new AST.MemberExpression(expr, this.ComputedPropertyName()), start);
+          break;
+
+        case '(': {
+          this.read('(');
+
+          let args = this.ArgumentList();
+          let trailingComma = false;
+
+          if (this.peek() === ',') {
+            this.read();
+            trailingComma = true;
+          }
+
+          this.read(')');
+          expr = this.node(new AST.CallExpression(expr, args, trailingComma), start);
+          break;
+        }
+
+        default:
+          return expr;
+      }
+    }
+  }
+
+  ClassBody(classKind) {
+    this.classDepth++;
+
+    let body = BaseParser.prototype.ClassBody.call(this, classKind);
+
+    this.classDepth--;
+
+    return body;
+  }
+
+  ClassElement(classKind) {
+    let token = this.peekToken('name');
+    let start = token.start;
+    let isStatic = false;
+
+    if (token.type === ';')
+      return this.EmptyClassElement();
+
+    // Unlike the base parser, static members may have string, numeric and
+    // generator names
+    if (token.type === 'IDENTIFIER' && token.value === 'static') {
+      switch (this.peekAt('name', 1)) {
+        case '(':
+        case '=':
+        case ';':
+        case '}':
+          break;
+
+        default:
+          this.read();
+          token = this.peekToken('name');
+          isStatic = true;
+      }
+    }
+
+    if (isStatic && token.type === '{')
+      return this.StaticBlock(start);
+
+    let kind = '';
+    let name = null;
+
+    // Element names, including those following "get", "set", "async" and "*",
+    // may be private
+    this.context.classElementName = true;
+
+    if (token.type === 'IDENTIFIER' || token.type === '[' || token.type === 'PRIVATE') {
+      name = this.PropertyName();
+      if (!isStatic && name.type === 'Identifier' && name.value === 'constructor')
+        kind = 'constructor';
+    }
+
+    let method = this.MethodDefinition(name, kind, classKind);
+    name = method.name;
+
+    this.context.classElementName = false;
+
+    if (name.type === 'PrivateName' && name.value === 'constructor')
+      this.fail('Invalid private name #constructor', name);
+
+    if (name.type === 'Identifier') {
+      let invalid;
+      if (isStatic) {
+        invalid =
+          name.value === 'prototype' ||
+          name.value === 'constructor' && method.type === 'ClassField';
+      } else {
+        invalid = name.value === 'constructor' && method.kind !== 'constructor';
+      }
+      if (invalid)
+        this.fail('Invalid ' + name.value + ' property in class definition', name);
+    }
+
+    method.start = start;
+    method.static = isStatic;
+
+    return method;
+  }
+
+}
+
+class ScopeResolver extends BaseScopeResolver {
+
+  constructor() {
+    super();
+  }
+
+  // Static blocks have their own var scope
+  StaticBlock(node) {
+    this.pushScope('function', node);
+    this.pushScope('var', node);
+    this.pushScope('block', node);
+    node.statements.forEach(n => this.visit(n, 'var'));
+    this.popScope(); // block
+    this.popScope(); // var
+    this.popScope(); // function
+  }
+
+  // Unresolved references are retained in the free list of every scope
+  // which they escape from
+  flushFree() {
+    let map = this.top.names;
+    let free = this.top.free;
+    let next = null;
+    let freeList = [];
+
+    if (this.stack.length > 0)
+      next = this.stack[this.stack.length - 1];
+
+    this.top.free = freeList;
+
+    free.forEach(r => {
+      let record = map.get(r.value);
+
+      if (record) {
+        record.references.push(r);
+      } else {
+        freeList.push(r);
+        if (next)
+          next.free.push(r);
+      }
+    });
+  }
+
+}
+
+class ParseResult {
+
+  constructor(result) {
+    this.input = result.input;
+    this.lineMap = result.lineMap;
+    this.ast = result.ast;
+    this.comments = result.comments;
+    this.scopeTree = null;
+  }
+
+  // Returns one-based line and column numbers for an offset
+  locate(offset) {
+    let loc = this.lineMap.locate(offset);
+
+    return {
+      line: loc.line + 1,
+      column: loc.column + 1,
+      lineOffset: loc.lineOffset,
+    };
+  }
+
+  createSyntaxError(message, node) {
+    let loc = this.locate(node.start);
+    let err = new SyntaxError(message);
+
+    err.line = loc.line;
+    err.column = loc.column;
+    err.lineOffset = loc.lineOffset;
+    err.startOffset = node.start;
+    err.endOffset = node.end;
+    err.sourceText = this.input;
+
+    return err;
+  }
+
+}
+
+// Converts the parser's representation of computed member expressions,
+// template literals and anonymous default exports into the shape expected by
+// the translator
+function normalize(node) {
+  switch (node.type) {
+    case 'ExportDefault': {
+      let binding = node.binding;
+
+      if (binding.type === 'ClassDeclaration' && !binding.identifier)
+        binding.type = 'ClassExpression';
+      else if (binding.type === 'FunctionDeclaration' && !binding.identifier)
+        binding.type = 'FunctionExpression';
+
+      break;
+    }
+
+    case 'MemberExpression':
+      node.computed = node.property.type === 'ComputedPropertyName';
+
+      if (node.computed)
+        node.property = node.property.expression;
+
+      break;
+
+    case 'TemplateExpression': {
+      let parts = node.parts;
+      delete node.parts;
+      node.literals = parts.filter((p, i) => i % 2 === 0);
+      node.substitutions = parts.filter((p, i) => i % 2 === 1);
+      break;
+    }
+  }
+
+  node.children().forEach(normalize);
+}
+
+function addParentLinks(node) {
+  node.children().forEach(child => {
+    child.parent = node;
+    addParentLinks(child);
+  });
+}
+
+// Scope name maps are converted to plain objects
+function normalizeScope(scope) {
+  let names = Object.create(null);
+  scope.names.forEach((record, name) => names[name] = record);
+  scope.names = names;
+  scope.children.forEach(normalizeScope);
+}
+
+// Errors report one-based line and column numbers, along with the source text
+function normalizeError(err, input) {
+  if (err instanceof SyntaxError && 'startOffset' in err && !('sourceText' in err)) {
+    err.line += 1;
+    err.column += 1;
+    err.sourceText = input;
+  }
+
+  return err;
+}
+
+export function parse(input, options = {}) {
+  let result;
+
+  try {
+    let parser = new Parser(input, options);
+    result = new ParseResult(options.module ? parser.parseModule() : parser.parseScript());
+    normalize(result.ast);
+
+    if (options.resolveScopes) {
+      result.scopeTree = new ScopeResolver().resolve(result.ast, { lineMap: result.lineMap });
+      normalizeScope(result.scopeTree);
+    }
+
+    if (options.addParentLinks)
+      addParentLinks(result.ast);
+  } catch (x) {
+    throw normalizeError(x, input);
+  }
+
+  return result;
+}
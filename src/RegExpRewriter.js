@@ -0,0 +1,419 @@
+/*
+
+Regular expression features which ES5 engines cannot parse are rewritten as
+equivalent ES5 patterns.  The "s" flag is removed by replacing "." with a
+class which matches any character.  The "u" flag is removed by replacing
+astral code points, and the constructs which can match them, with patterns
+over surrogate pairs.  Named groups become numbered groups, and the names are
+attached to match results at runtime by "_esdown.namedRegExp".
+
+*/
+
+const SURROGATE_PAIR = '[\\uD800-\\uDBFF][\\uDC00-\\uDFFF]';
+
+function hex4(code) {
+  return '\\u' + ('000' + code.toString(16).toUpperCase()).slice(-4);
+}
+
+function surrogates(code) {
+  code -= 0x10000;
+  return [0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF)];
+}
+
+function classChar(code) {
+  let c = String.fromCharCode(code);
+  return /[0-9A-Za-z]/.test(c) ? c : hex4(code);
+}
+
+function classRange(low, high) {
+  return low === high ? classChar(low) : classChar(low) + '-' + classChar(high);
+}
+
+// Returns an atom which matches a single code point
+function codePointAtom(code) {
+  if (code <= 0xFFFF)
+    return hex4(code);
+
+  let [high, low] = surrogates(code);
+  return `(?:${ hex4(high) }${ hex4(low) })`;
+}
+
+// Returns a list of alternatives which match a range of astral code points
+function astralRange(low, high) {
+  let [lowHigh, lowLow] = surrogates(low);
+  let [highHigh, highLow] = surrogates(high);
+
+  if (lowHigh === highHigh)
+    return [`${ hex4(lowHigh) }[${ classRange(lowLow, highLow) }]`];
+
+  let list = [`${ hex4(lowHigh) }[${ classRange(lowLow, 0xDFFF) }]`];
+
+  if (lowHigh + 1 < highHigh)
+    list.push(`[${ classRange(lowHigh + 1, highHigh - 1) }][\\uDC00-\\uDFFF]`);
+
+  list.push(`${ hex4(highHigh) }[${ classRange(0xDC00, highLow) }]`);
+
+  return list;
+}
+
+class Rewriter {
+
+  constructor(pattern, flags, fail) {
+    this.input = pattern;
+    this.offset = 0;
+    this.unicode = flags.indexOf('u') >= 0;
+    this.dotAll = flags.indexOf('s') >= 0;
+    this.fail = fail;
+    this.names = this.scanGroupNames();
+  }
+
+  // Returns a map from capture group names to group numbers
+  scanGroupNames() {
+    let input = this.input;
+    let names = new Map();
+    let count = 0;
+    let inClass = false;
+
+    for (let i = 0; i < input.length; ++i) {
+      let c = input.charAt(i);
+
+      if (c === '\\') {
+        ++i;
+      } else if (inClass) {
+        inClass = c !== ']';
+      } else if (c === '[') {
+        inClass = true;
+      } else if (c === '(') {
+        if (input.charAt(i + 1) !== '?') {
+          ++count;
+        } else if (/^\?<[^=!]/.test(input.slice(i + 1, i + 4))) {
+          let end = input.indexOf('>', i);
+          let name = end < 0 ? '' : input.slice(i + 3, end);
+
+          if (!/^[^\d\s][^\s]*$/.test(name))
+            this.fail('Invalid capture group name');
+
+          if (names.has(name))
+            this.fail(`Duplicate capture group name '${ name }'`);
+
+          names.set(name, ++count);
+        }
+      }
+    }
+
+    return names;
+  }
+
+  rewrite() {
+    let input = this.input;
+    let out = '';
+
+    while (this.offset < input.length) {
+      switch (input.charAt(this.offset)) {
+        case '\\': out += this.escape(); break;
+        case '[': out += this.characterClass(); break;
+        case '(': out += this.group(); break;
+        case '.': out += this.dot(); break;
+        default: out += this.literal(); break;
+      }
+    }
+
+    return out;
+  }
+
+  readCodePoint() {
+    let code = this.input.codePointAt(this.offset);
+    this.offset += code > 0xFFFF ? 2 : 1;
+    return code;
+  }
+
+  literal() {
+    let code = this.readCodePoint();
+
+    if (code > 0xFFFF && this.unicode)
+      return codePointAtom(code);
+
+    return String.fromCodePoint(code);
+  }
+
+  dot() {
+    this.offset++;
+
+    let any = this.dotAll ? '[\\s\\S]' : '.';
+    return this.unicode ? `(?:${ SURROGATE_PAIR }|${ any })` : any;
+  }
+
+  group() {
+    let input = this.input;
+
+    this.offset++;
+
+    if (/^\?<[=!]/.test(input.slice(this.offset, this.offset + 3)))
+      this.fail('Lookbehind assertions cannot be translated');
+
+    // Named groups are numbered in the same order as unnamed groups
+    if (input.startsWith('?<', this.offset))
+      this.offset = input.indexOf('>', this.offset) + 1;
+
+    return '(';
+  }
+
+  escape() {
+    let input = this.input;
+    let c = input.charAt(++this.offset);
+
+    switch (c) {
+      case '':
+        this.fail('Invalid escape at end of pattern');
+        break;
+
+      case 'k': {
+        if (this.names.size === 0 && !this.unicode)
+          break;
+
+        let match = /^k<([^>]*)>/.exec(input.slice(this.offset));
+
+        if (!match || !this.names.has(match[1]))
+          this.fail(`Undefined capture group name '${ match ? match[1] : '' }'`);
+
+        this.offset += match[0].length;
+
+        let ref = '\\' + this.names.get(match[1]);
+
+        // Avoid merging with a following digit
+        return /\d/.test(input.charAt(this.offset)) ? `(?:${ ref })` : ref;
+      }
+
+      case 'u': {
+        if (!this.unicode)
+          break;
+
+        let code = this.unicodeEscape();
+
+        if (code >= 0)
+          return codePointAtom(code);
+
+        break;
+      }
+
+      case 'p':
+      case 'P':
+        if (this.unicode)
+          this.fail('Unicode property escapes cannot be translated');
+        break;
+
+      case 'D':
+      case 'S':
+      case 'W':
+        // Negated classes must match astral code points as a whole
+        if (this.unicode) {
+          this.offset++;
+          return `(?:${ SURROGATE_PAIR }|\\${ c })`;
+        }
+        break;
+    }
+
+    let code = this.readCodePoint();
+
+    if (code > 0xFFFF && this.unicode)
+      return codePointAtom(code);
+
+    return '\\' + String.fromCodePoint(code);
+  }
+
+  // Reads a \u escape at the current position, returning -1 if the escape
+  // is not a code point escape
+  unicodeEscape() {
+    let input = this.input;
+    let rest = input.slice(this.offset);
+    let match = /^u\{([0-9a-fA-F]+)\}/.exec(rest);
+
+    if (match) {
+      let code = parseInt(match[1], 16);
+
+      if (code > 0x10FFFF)
+        this.fail('Invalid Unicode escape');
+
+      this.offset += match[0].length;
+      return code;
+    }
+
+    match = /^u([0-9a-fA-F]{4})(?:\\u(d[c-f][0-9a-f]{2}))?/i.exec(rest);
+
+    if (!match)
+      return -1;
+
+    let code = parseInt(match[1], 16);
+
+    // Escaped surrogate pairs form a single code point
+    if (match[2] && code >= 0xD800 && code <= 0xDBFF) {
+      code = (code - 0xD800) * 0x400 + parseInt(match[2], 16) - 0xDC00 + 0x10000;
+      this.offset += match[0].length;
+    } else {
+      this.offset += 5;
+    }
+
+    return code;
+  }
+
+  characterClass() {
+    let input = this.input;
+    let start = this.offset++;
+    let negate = input.charAt(this.offset) === '^';
+    let ranges = [];
+    let escapes = [];
+    let rebuild = false;
+
+    if (negate)
+      this.offset++;
+
+    while (input.charAt(this.offset) !== ']') {
+      if (this.offset >= input.length)
+        this.fail('Unterminated character class');
+
+      let atom = this.classAtom();
+
+      if (atom.text) {
+        escapes.push(atom);
+      } else if (input.charAt(this.offset) === '-' && input.charAt(this.offset + 1) !== ']') {
+        this.offset++;
+
+        let end = this.classAtom();
+
+        if (end.text || end.code < atom.code)
+          this.fail('Invalid character class range');
+
+        ranges.push([atom.code, end.code]);
+        rebuild = rebuild || atom.rebuild || end.rebuild;
+      } else {
+        ranges.push([atom.code, atom.code]);
+        rebuild = rebuild || atom.rebuild;
+      }
+    }
+
+    this.offset++;
+
+    let raw = input.slice(start, this.offset);
+
+    if (!this.unicode)
+      return raw;
+
+    let astral = ranges.some(r => r[1] > 0xFFFF);
+    let negatedEscape = escapes.some(e => e.negated);
+
+    if (negate && (astral || negatedEscape))
+      this.fail('Negated character classes which exclude astral code points cannot be translated');
+
+    if (!astral && !negatedEscape && !rebuild)
+      return negate ? `(?:${ SURROGATE_PAIR }|${ raw })` : raw;
+
+    let bmp = escapes.map(e => e.text);
+    let alternatives = [];
+
+    if (negate || negatedEscape)
+      alternatives.push(SURROGATE_PAIR);
+
+    ranges.forEach(([low, high]) => {
+      if (high > 0xFFFF)
+        alternatives.push(...astralRange(Math.max(low, 0x10000), high));
+
+      if (low <= 0xFFFF)
+        bmp.push(classRange(low, Math.min(high, 0xFFFF)));
+    });
+
+    if (bmp.length > 0 || alternatives.length === 0)
+      alternatives.push(`[${ negate ? '^' : '' }${ bmp.join('') }]`);
+
+    return `(?:${ alternatives.join('|') })`;
+  }
+
+  // Reads a class atom, returning either the code point it matches or
+  // the text of a class escape
+  classAtom() {
+    let input = this.input;
+
+    if (input.charAt(this.offset) !== '\\')
+      return { code: this.readCodePoint() };
+
+    let c = input.charAt(++this.offset);
+    let match;
+
+    switch (c) {
+      case 'd':
+      case 's':
+      case 'w':
+        this.offset++;
+        return { text: '\\' + c };
+
+      case 'D':
+      case 'S':
+      case 'W':
+        this.offset++;
+        return { text: '\\' + c, negated: true };
+
+      case 'p':
+      case 'P':
+        if (this.unicode)
+          this.fail('Unicode property escapes cannot be translated');
+        break;
+
+      case 'u': {
+        if (!this.unicode)
+          break;
+
+        let code = this.unicodeEscape();
+
+        if (code >= 0)
+          return { code, rebuild: true };
+
+        break;
+      }
+
+      case 'x':
+        if (match = /^x([0-9a-fA-F]{2})/.exec(input.slice(this.offset))) {
+          this.offset += 3;
+          return { code: parseInt(match[1], 16) };
+        }
+        break;
+
+      case 'c':
+        if (/[a-zA-Z]/.test(input.charAt(this.offset + 1))) {
+          this.offset += 2;
+          return { code: input.charCodeAt(this.offset - 1) % 32 };
+        }
+        break;
+
+      case '0':
+        if (!/\d/.test(input.charAt(this.offset + 1))) {
+          this.offset++;
+          return { code: 0 };
+        }
+        break;
+
+      case 'b': this.offset++; return { code: 8 };
+      case 't': this.offset++; return { code: 9 };
+      case 'n': this.offset++; return { code: 10 };
+      case 'v': this.offset++; return { code: 11 };
+      case 'f': this.offset++; return { code: 12 };
+      case 'r': this.offset++; return { code: 13 };
+    }
+
+    return { code: this.readCodePoint() };
+  }
+
+}
+
+// Rewrites a regular expression pattern and its flags for ES5 engines.  Returns
+// null if the expression does not need to be rewritten.
+export function rewriteRegExp(pattern, flags, fail) {
+  if (!/[su]/.test(flags) && pattern.indexOf('(?<') < 0)
+    return null;
+
+  let rewriter = new Rewriter(pattern, flags, fail);
+
+  return {
+    pattern: rewriter.rewrite(),
+    flags: flags.replace(/[su]/g, ''),
+    names: rewriter.names,
+  };
+}
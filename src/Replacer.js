@@ -1,4 +1,7 @@
-import { parse, AST } from 'esparse';
+import { parse, Node } from './Parser.js';
+import { StateMachine, markStateMachines } from './StateMachine.js';
+import { rewriteRegExp } from './RegExpRewriter.js';
+import { shiftMappings } from './SourceMap.js';
 
 function countNewlines(text) {
   let m = text.match(/\r\n?|\n/g);
@@ -14,6 +17,52 @@ function preserveNewlines(text, height) {
   return text;
 }
 
+const ASTRAL_CHAR = /[\uD800-\uDBFF][\uDC00-\uDFFF]/g;
+
+// Returns ES5 escapes for a code point, using a surrogate pair for astral
+// code points
+function codePointEscape(code) {
+  let chars = String.fromCodePoint(code);
+  let out = '';
+
+  for (let i = 0; i < chars.length; ++i)
+    out += '\\u' + ('000' + chars.charCodeAt(i).toString(16).toUpperCase()).slice(-4);
+
+  return out;
+}
+
+// Replaces code point escapes in string and template source text
+function normalizeEscapes(raw) {
+  return raw.replace(/\\(\\|u\{([0-9a-fA-F]+)\})/g, (m, esc, hex) => {
+    return hex ? codePointEscape(parseInt(hex, 16)) : m;
+  });
+}
+
+// Returns an ES5-compatible spelling of an identifier.  ES5 engines do not
+// accept astral code points in identifiers, so they are mangled.
+function es5Identifier(raw) {
+  let mangle = code => '_u' + code.toString(16).toUpperCase();
+
+  return raw
+    .replace(/\\u\{([0-9a-fA-F]+)\}/g, (m, hex) => {
+      let code = parseInt(hex, 16);
+      return code > 0xFFFF ? mangle(code) : codePointEscape(code);
+    })
+    .replace(ASTRAL_CHAR, c => mangle(c.codePointAt(0)));
+}
+
+// Returns a string literal for a property name
+function quotedName(name) {
+  return "'" + name.replace(ASTRAL_CHAR, c => codePointEscape(c.codePointAt(0))) + "'";
+}
+
+// Inserts text at the start of the output, after a line which was reserved
+// for a shebang
+function insertBefore(output, text) {
+  let lead = output.startsWith('\n') ? '\n' : '';
+  return lead + text + output.slice(lead.length);
+}
+
 function isAsyncType(type) {
   return type === 'async' || type === 'async-generator';
 }
@@ -27,6 +76,7 @@ class PatternTreeNode {
     this.skip = skip | 0;
     this.array = false;
     this.rest = false;
+    this.excluded = null;
   }
 }
 
@@ -39,13 +89,89 @@ class RootNode {
   }
 }
 
-RootNode.prototype = AST.Node.prototype;
+RootNode.prototype = Node.prototype;
+
+function isFunctionNode(node) {
+  switch (node.type) {
+    case 'ArrowFunction':
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'MethodDefinition':
+      return true;
+  }
+
+  return false;
+}
+
+function isWriteReference(ref) {
+  let node = ref;
+
+  while (node.parent.type === 'ParenExpression')
+    node = node.parent;
+
+  let p = node.parent;
+
+  switch (p.type) {
+    case 'AssignmentExpression':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      return p.left === node;
+    case 'UpdateExpression':
+      return true;
+    case 'PatternElement':
+    case 'PatternRestElement':
+      return p.pattern === node;
+    case 'PatternProperty':
+      return p.pattern === node || p.pattern === null && p.name === node;
+  }
+
+  return false;
+}
+
+// Returns true if the node contains a yield or await expression which is not
+// within a nested function
+function containsSuspension(node) {
+  if (isFunctionNode(node))
+    return false;
+
+  switch (node.type) {
+    case 'YieldExpression':
+      return true;
+    case 'UnaryExpression':
+      if (node.operator === 'await') return true;
+      break;
+    case 'ForOfStatement':
+      if (node.async) return true;
+      break;
+  }
+
+  return node.children().some(containsSuspension);
+}
 
 function collapseScopes(parseResult) {
   let names = Object.create(null);
+  let programNames = new Set;
+  let loops = new Map;
 
+  collectNames(parseResult.scopeTree);
   visit(parseResult.scopeTree, null);
 
+  // While loops do not have a scope of their own, so they are processed after
+  // the scopes within them
+  loops.forEach(scope => {
+    if (scope.node.iterationRecord)
+      recordIterationBindings(scope);
+    else
+      renameIterationBindings(scope);
+  });
+
+  // Collects the names declared or referenced within the program
+  function collectNames(scope) {
+    Object.keys(scope.names).forEach(name => programNames.add(name));
+    scope.free.forEach(ref => programNames.add(ref.value));
+    scope.children.forEach(collectNames);
+  }
+
   function makeSuffix(name) {
     let count = names[name] | 0;
     names[name] = count + 1;
@@ -60,6 +186,10 @@ function collapseScopes(parseResult) {
     switch (scope.type) {
       case 'block':
         rename(scope);
+
+        if (whileLoop(scope))
+          forScope = scope;
+
         break;
 
       case 'for':
@@ -68,24 +198,179 @@ function collapseScopes(parseResult) {
         break;
 
       case 'catch':
-        if (scope.node.param.type !== 'Identifier')
+        if (scope.node.param && scope.node.param.type !== 'Identifier')
           rename(scope);
         break;
 
       case 'function':
         if (forScope) {
-          let set = Object.create(null);
-          forScope.free.forEach(r => set[r.value] = 1);
           scope.free.forEach(r => {
-            if (set[r.value] !== 1)
-              fail('Closure capturing per-iteration bindings', r);
+            let loop = capturingLoop(scope, r);
+
+            if (!loop)
+              return;
+
+            // Loop bodies which capture per-iteration bindings are evaluated
+            // within a function, which is called once per iteration.  When the
+            // body cannot be moved into a function, the bindings are stored in
+            // a record which is replaced on each iteration.
+            if (
+              scope.node.start < loop.node.body.start ||
+              containsSuspension(loop.node.body)
+            ) {
+              loop.node.iterationRecord = true;
+            }
+
+            loop.node.perIteration = true;
+
+            if (!loop.captures)
+              loop.captures = [];
+
+            loop.captures.push({ scope, ref: r });
           });
+
           forScope = null;
         }
         break;
     }
 
+    renameMangled(scope);
     scope.children.forEach(c => visit(c, forScope));
+
+    if (scope.type === 'for' && scope.node.iterationRecord)
+      recordIterationBindings(scope);
+    else if (scope.type === 'for' && scope.node.perIteration)
+      renameIterationBindings(scope);
+  }
+
+  // Returns the nearest loop scope enclosing the declaration of a captured
+  // binding, if any
+  function capturingLoop(scope, ref) {
+    let found = false;
+
+    for (let s = scope.parent; s && s.type !== 'function' && s.type !== 'var'; s = s.parent) {
+      if (s.names[ref.value])
+        found = true;
+
+      if (found && s.type === 'for')
+        return s;
+
+      let loop = found && whileLoop(s);
+
+      if (loop) {
+        if (!loops.has(loop))
+          loops.set(loop, { type: 'loop', node: loop, names: Object.create(null) });
+
+        return loops.get(loop);
+      }
+    }
+
+    return null;
+  }
+
+  // Returns the while or do-while loop whose body contains a scope, if there
+  // is no other scope between them
+  function whileLoop(scope) {
+    let stop = scope.parent.node;
+
+    for (let p = scope.node.parent, child = scope.node; p && p !== stop; child = p, p = p.parent) {
+      if ((p.type === 'WhileStatement' || p.type === 'DoWhileStatement') && child === p.body)
+        return p;
+    }
+
+    return null;
+  }
+
+  // Bindings declared in the loop head are passed to the per-iteration
+  // function under a different name
+  function renameIterationBindings(scope) {
+    let body = scope.node.body;
+
+    scope.node.iterationBindings = Object.keys(scope.names).map(name => {
+      let record = scope.names[name];
+      let decl = record.declarations[0];
+      let suffix = makeSuffix(name);
+      let write = false;
+
+      record.references.forEach(ref => {
+        if (ref.start >= body.start && ref.end <= body.end) {
+          ref.suffix = suffix;
+          write = write || isWriteReference(ref);
+        }
+      });
+
+      return {
+        outer: es5Identifier(decl.value) + decl.suffix,
+        inner: es5Identifier(decl.value) + suffix,
+        write: write && scope.node.type === 'ForStatement',
+      };
+    });
+  }
+
+  // Captured bindings which are declared within the loop are stored as
+  // properties of the loop's binding record, and closures which capture them
+  // are given the current record
+  function recordIterationBindings(scope) {
+    let loop = scope.node;
+    let recorded = new Set;
+
+    loop.recordNames = [];
+
+    scope.captures.forEach(({ scope: fnScope, ref }) => {
+      let declScope = fnScope.parent;
+
+      while (!declScope.names[ref.value])
+        declScope = declScope.parent;
+
+      let fn = fnScope.node;
+
+      if (
+        !variableDeclaration(declScope.names[ref.value].declarations[0]) ||
+        fn.type !== 'ArrowFunction' && fn.type !== 'FunctionExpression'
+      ) {
+        fail('Closure capturing per-iteration bindings', ref);
+      }
+
+      if (!fn.recordLoops)
+        fn.recordLoops = [];
+
+      if (fn.recordLoops.indexOf(loop) < 0)
+        fn.recordLoops.push(loop);
+
+      if (recorded.has(declScope))
+        return;
+
+      recorded.add(declScope);
+
+      Object.keys(declScope.names).forEach(name => {
+        let record = declScope.names[name];
+        let decl = record.declarations[0];
+        let declaration = variableDeclaration(decl);
+
+        // Function and class declarations are not stored in the record
+        if (!declaration)
+          return;
+
+        declaration.iterationRecord = true;
+        record.declarations.forEach(node => node.iterationRecord = loop);
+        record.references.forEach(node => node.iterationRecord = loop);
+
+        // Bindings declared in the loop head are copied into each new record
+        if (declScope === scope)
+          loop.recordNames.push(es5Identifier(name));
+      });
+    });
+  }
+
+  // Returns the lexical variable declaration which contains a declared
+  // identifier, if any
+  function variableDeclaration(decl) {
+    let p = decl.parent;
+
+    while (/Pattern|VariableDeclarator/.test(p.type))
+      p = p.parent;
+
+    return p.type === 'VariableDeclaration' && p.kind !== 'var' ? p : null;
   }
 
   function rename(node) {
@@ -106,6 +391,27 @@ function collapseScopes(parseResult) {
     });
   }
 
+  // Names containing astral code points are renamed if their ES5 spelling is
+  // used by another binding in the program
+  function renameMangled(scope) {
+    Object.keys(scope.names).forEach(name => {
+      let mangled = es5Identifier(name);
+
+      if (mangled === name || !programNames.has(mangled))
+        return;
+
+      let record = scope.names[name];
+
+      if (record.declarations[0].suffix)
+        return;
+
+      let suffix = makeSuffix(name);
+
+      record.declarations.forEach(decl => decl.suffix = suffix);
+      record.references.forEach(ref => ref.suffix = suffix);
+    });
+  }
+
   function checkConstRef(ref) {
     let node = ref;
 
@@ -129,6 +435,137 @@ function collapseScopes(parseResult) {
 
 }
 
+function markTemporalDeadZones(parseResult) {
+  visit(parseResult.scopeTree);
+
+  function visit(scope) {
+    Object.keys(scope.names).forEach(name => {
+      let record = scope.names[name];
+      let decl = record.declarations[0];
+      let binding = bindingInfo(decl);
+
+      // Bindings stored in loop records are not checked
+      if (!binding || decl.iterationRecord)
+        return;
+
+      let unsafe = record.references.filter(ref =>
+        !isWriteReference(ref) && !isInitialized(ref, decl, binding)
+      );
+
+      if (unsafe.length === 0)
+        return;
+
+      unsafe.forEach(ref => ref.tdzCheck = true);
+
+      // Declarations without initializers must explicitly assign undefined
+      if (binding.declarator)
+        binding.declarator.tdzReset = true;
+
+      let node = resetNode(scope);
+
+      if (!node.tdzNames)
+        node.tdzNames = [];
+
+      node.tdzNames.push(es5Identifier(decl.value) + (decl.suffix || ''));
+    });
+
+    scope.children.forEach(visit);
+  }
+
+  // Returns the declaring statement and initialization offset for let, const,
+  // and class bindings
+  function bindingInfo(decl) {
+    let p = decl.parent;
+
+    while (p.type !== 'VariableDeclarator') {
+      if (p.type === 'ClassDeclaration')
+        return { statement: p, declarator: null, end: p.end };
+
+      if (!/Pattern/.test(p.type))
+        return null;
+
+      p = p.parent;
+    }
+
+    let statement = p.parent;
+    let loop = statement.parent;
+
+    if (statement.kind === 'var')
+      return null;
+
+    // For-in and for-of bindings are initialized after the right-hand side
+    // has been evaluated
+    if (
+      (loop.type === 'ForInStatement' || loop.type === 'ForOfStatement') &&
+      loop.left === statement
+    ) {
+      return { statement, declarator: null, end: loop.right.end };
+    }
+
+    return { statement, declarator: p, end: p.end };
+  }
+
+  // Returns true if the reference cannot be evaluated before the binding
+  // is initialized
+  function isInitialized(ref, decl, binding) {
+    let declFunction = decl.parent;
+
+    while (declFunction && !isFunctionNode(declFunction))
+      declFunction = declFunction.parent;
+
+    let offset = ref.start;
+    let child = ref;
+
+    for (let p = ref.parent; p && p !== declFunction; child = p, p = p.parent) {
+      // References within class elements are evaluated after the class
+      // binding is initialized, except for computed property names
+      if (p.type === 'ClassBody' && p.parent === binding.statement)
+        return !child.name || ref.start < child.name.start || ref.start >= child.name.end;
+
+      // Function declarations are hoisted to the top of their block
+      if (p.type === 'FunctionDeclaration')
+        offset = Math.min(offset, hoistedStart(p));
+    }
+
+    if (offset < binding.end)
+      return false;
+
+    // Bindings declared within a switch case are uninitialized within
+    // other cases
+    let container = binding.statement.parent;
+
+    if (container.type === 'SwitchCase')
+      return ref.start >= container.start && ref.end <= container.end;
+
+    return true;
+  }
+
+  function hoistedStart(node) {
+    let p = node.parent;
+
+    while (p.type === 'LabelledStatement' || p.type === 'ExportDeclaration')
+      p = p.parent;
+
+    return p.type === 'SwitchCase' ? p.parent.start : p.start;
+  }
+
+  // Returns the node where uninitialized bindings are reset when the scope
+  // is entered
+  function resetNode(scope) {
+    let node = scope.node;
+
+    // Function body scopes are nested within "var" and "param" scopes
+    if (!node)
+      return scope.parent.parent.parent.node.body;
+
+    if (node.type === 'CatchClause')
+      return node.body;
+
+    return node;
+  }
+
+}
+
 export function replaceText(input, options) {
   return new Replacer(options).replace(input);
 }
@@ -139,10 +576,29 @@ class Replacer {
     this.options = {
       identifyModule: () => '_M' + (this.uid++),
       replaceRequire: () => null,
+      replaceImport: () => null,
+      replaceExportAll: () => null,
+      importMeta: () => null,
+      resolveMeta: () => null,
       module: false,
+      generators: false,
+      tdz: false,
+      liveExports: false,
+      sourceMap: false,
+      spec: false,
+      semantics: 'loose',
     };
 
     Object.keys(options).forEach(k => this.options[k] = options[k]);
+
+    // The spec option is shorthand for spec semantics
+    if (this.options.spec)
+      this.options.semantics = 'spec';
+
+    if (this.options.semantics !== 'loose' && this.options.semantics !== 'spec')
+      throw new Error(`Invalid semantics option '${ this.options.semantics }'`);
+
+    this.options.spec = this.options.semantics === 'spec';
   }
 
   replace(input) {
@@ -166,14 +622,30 @@ class Replacer {
     this.root = root;
     this.input = input;
     this.exports = {};
+    this.reexports = {};
     this.moduleNames = {};
     this.dependencies = [];
     this.runtime = {};
+    this.dynamicImport = false;
+    this.importMetaVar = '';
+    this.liveImports = null;
     this.isStrict = false;
     this.uid = 0;
 
     collapseScopes(this.parseResult);
 
+    if (this.options.liveExports && this.options.module)
+      this.markLiveImports();
+
+    if (this.options.tdz)
+      markTemporalDeadZones(this.parseResult);
+
+    if (this.options.module && containsSuspension(root))
+      root.kind = 'async';
+
+    if (this.options.generators)
+      markStateMachines(root, node => node.kind === 'generator' || isAsyncType(node.kind));
+
     let visit = node => {
       node.text = null;
 
@@ -199,19 +671,31 @@ class Replacer {
       if (this[node.type])
         text = this[node.type](node);
 
-      if (text === null || text === undefined)
+      let replaced = text !== null && text !== undefined;
+
+      if (!replaced)
         text = this.stringify(node);
 
-      return node.text = this.syncNewlines(node.start, node.end, text);
+      node.text = this.syncNewlines(node.start, node.end, text);
+
+      if (this.options.sourceMap)
+        this.mapText(node, replaced);
+
+      return node.text;
     };
 
-    let output = visit(new RootNode(root, input.length));
+    let rootNode = new RootNode(root, input.length);
+    let output = visit(rootNode);
+    let mappings = rootNode.mappings || null;
     let exports = Object.keys(this.exports);
 
-    if (exports.length > 0) {
-      output += '\n';
-      output += exports.map(k => `exports.${ k } = ${ this.exports[k] };`).join('\n');
-      output += '\n';
+    let exportHeader = '';
+
+    // Modules which contain top-level await assign their exports within the
+    // async function which evaluates the module body
+    if (root.kind !== 'async') {
+      exportHeader = this.exportHeader(exports);
+      output += this.exportFooter(exports, '\n');
     }
 
     return {
@@ -219,39 +703,144 @@ class Replacer {
       output,
       imports: this.dependencies,
       runtime: Object.keys(this.runtime),
+      exportNames: exports,
+      reexports: this.reexports,
+      dynamicImport: this.dynamicImport,
+      exportHeader,
+      mappings,
     };
   }
 
+  Block(node) {
+    if (node.tdzNames)
+      return '{ ' + this.tdzReset(node) + '; ' + this.removeBraces(this.stringify(node)) + '}';
+  }
+
+  SwitchStatement(node) {
+    if (node.tdzNames)
+      node.descriminant.text = `(${ this.tdzReset(node) }, ${ node.descriminant.text })`;
+  }
+
+  ForStatement(node) {
+    if (node.tdzNames) {
+      let init = node.initializer;
+      let reset = this.tdzReset(node);
+      let match = /^var\s+/.exec(init.text);
+
+      init.text = match ?
+        match[0] + reset + ', ' + init.text.slice(match[0].length) :
+        reset + ', ' + init.text;
+    }
+
+    // Loops containing a yield are exploded by the state machine
+    if (node.iterationRecord && !node.hasYield) {
+      let next = this.nextRecord(node);
+
+      if (node.recordNames.length > 0) {
+        let init = node.initializer;
+        init.text = `${ this.recordVar(node) } = {}, ${ init.text }, ${ next }`;
+
+        if (node.update) {
+          node.update.text = `${ next }, ${ node.update.text }`;
+          next = '';
+        }
+      }
+
+      if (next && node.test)
+        node.test.text = `(${ next }, ${ node.test.text })`;
+      else if (next)
+        this.prefixBody(node, next + ';');
+    }
+
+    this.wrapIterationBody(node);
+  }
+
+  ForInStatement(node) {
+    if (node.tdzNames)
+      node.right.text = `(${ this.tdzReset(node) }, ${ node.right.text })`;
+
+    // Each key is assigned to a new record
+    if (node.iterationRecord && !node.hasYield && node.type === 'ForInStatement') {
+      let prefix = this.recordVar(node) + ' = {};';
+
+      if (node.left.iterationRecord) {
+        let key = this.addTempVar(node);
+        let binding = node.left.declarations[0].pattern;
+
+        prefix += ' ' + (this.isPattern(binding) ?
+          this.translatePattern(binding, key).join(', ') :
+          `${ binding.text } = ${ key }`) + ';';
+
+        node.left.text = key;
+      }
+
+      this.prefixBody(node, prefix);
+    }
+
+    this.wrapIterationBody(node);
+  }
+
+  WhileStatement(node) {
+    // Loops containing a yield are exploded by the state machine
+    if (node.iterationRecord && !node.hasYield)
+      this.prefixBody(node, this.nextRecord(node) + ';');
+
+    this.wrapIterationBody(node);
+  }
+
   DoWhileStatement(node) {
+    this.WhileStatement(node);
+
     let text = this.stringify(node);
     if (text.slice(-1) !== ';')
       return text + ';';
   }
 
   ForOfStatement(node) {
-    let iter = this.addTempVar(node, null, true);
-    let iterResult = this.addTempVar(node, null, true);
+    this.ForInStatement(node);
+
+    // Loops containing a yield are exploded by the state machine
+    if (node.hasYield)
+      return;
+
+    let machine = this.inStateMachine(node);
+    let close = Boolean(this.options.spec);
+    let iter = this.addTempVar(node, null, !machine);
+    let iterResult = close ? '' : this.addTempVar(node, null, !machine);
+    let value = close ? `${ iter }.value` : `${ iterResult }.value`;
     let context = this.parentFunction(node);
+    let keyword = machine ? '' : 'var ';
     let decl = '';
     let binding;
     let head;
 
-    if (node.async) {
-      head = `for (var ${ iter } = _esdown.asyncIter(${ node.right.text }), ${ iterResult }; `;
+    head = `for (${ keyword }${ iter } = `;
+
+    if (close && node.async) {
+      this.markRuntime('iterators');
+      head += `_esdown.asyncIterCursor(${ node.right.text }); `;
+      head += `${ this.awaitYield(context, iter + '.next()') };`;
+    } else if (close) {
+      this.markRuntime('iterators');
+      head += `_esdown.iter(${ node.right.text }); ${ iter }.next();`;
+    } else if (node.async) {
+      head += `_esdown.asyncIter(${ node.right.text }), ${ iterResult }; `;
       head += `${ iterResult } = ${ this.awaitYield(context, iter + '.next()') }, `;
       head += `${ iterResult }.value && typeof ${ iterResult }.value.then === 'function' `;
       head += `&& (${ iterResult }.value = ${ this.awaitYield(context, iterResult + '.value') }), `;
     } else {
-      head = `for (var ${ iter } = (${ node.right.text })[Symbol.iterator](), ${ iterResult }; `;
+      head += `(${ node.right.text })[Symbol.iterator](), ${ iterResult }; `;
       head += `${ iterResult } = ${ iter }.next(), `;
     }
 
-    head += `!${ iterResult }.done;`;
+    if (!close)
+      head += `!${ iterResult }.done;`;
+
     head = this.syncNewlines(node.left.start, node.right.end, head);
     head += this.input.slice(node.right.end, node.body.start);
 
     if (node.left.type === 'VariableDeclaration') {
-      decl = 'var ';
+      decl = this.isHoistedVar(node.left) || node.left.iterationRecord ? '' : keyword;
       binding = node.left.declarations[0].pattern;
     } else {
       binding = this.unwrapParens(node.left);
@@ -264,42 +853,102 @@ class Replacer {
     else body += ' ';
 
     let assign = this.isPattern(binding) ?
-      this.translatePattern(binding, `${ iterResult }.value`).join(', ') :
-        `${ binding.text } = ${ iterResult }.value`;
+      this.iteratorGuard(decl + this.translatePattern(binding, value).join(', ') + ';', binding) :
+        `${ decl }${ binding.text } = ${ value };`;
+
+    // Each value is assigned to a new record
+    if (node.iterationRecord)
+      assign = `${ this.recordVar(node) } = {}; ${ assign }`;
+
+    let out = `${ head }{ ${ assign } ${ body }}`;
+
+    // For-of loops are implicitly wrapped with try-finally, where the
+    // iterator is closed when evaluation leaves the loop body early. The
+    // wrapper is only emitted in spec mode, since it prevents some engines
+    // from optimizing the loop.  Async iterators are closed by awaiting the
+    // result of their return method.
+    if (close) {
+      let abort = `_esdown.iterAbort(${ iter }, __$e)`;
+      let closeIter = `_esdown.iterClose(${ iter })`;
+
+      if (node.async) {
+        abort = this.awaitYield(context, abort);
+        closeIter = this.awaitYield(context, closeIter);
+      }
 
-    let out = `${ head }{ ${ decl }${ assign }; ${ body }}`;
+      node.iteratorClose = [
+        'try { ',
+        ` } catch (__$e) { throw ${ abort }; } finally { ${ closeIter }; }`,
+      ];
 
-    /*
+      if (node.parent.type !== 'LabelledStatement')
+        out = node.iteratorClose[0] + out + node.iteratorClose[1];
+    }
 
-    For-of loops are implicitly wrapped with try-finally, where the 'return'
-    is called upon the iterator (if it has such a method) when evaulation leaves
-    the loop body.  For performance reasons, and because engines have not
-    implemented 'return' yet, we avoid this wrapper.
+    return out;
+  }
 
-    out = `try { ${ out } } finally { ` +
-        `if (${ iterResult } && !${ iterResult }.done && 'return' in ${ iter }) ` +
-            `${ iter }.return(); }`;
+  LabelledStatement(node) {
+    if (node.parent.type === 'LabelledStatement')
+      return;
 
-    */
+    let target = node.statement;
 
-    return out;
+    while (target.type === 'LabelledStatement')
+      target = target.statement;
+
+    // The iterator closing wrapper must surround the loop labels, so that
+    // labelled jumps out of the loop body run the finally block
+    if (target.iteratorClose)
+      return target.iteratorClose[0] + this.stringify(node) + target.iteratorClose[1];
+  }
+
+  // Wraps a statement which destructures iterables, so that iterators which
+  // have been opened are closed if the statement throws
+  iteratorGuard(text, ...patterns) {
+    let temps = [].concat(...patterns.map(p => p.iteratorTemps || []));
+
+    if (temps.length === 0)
+      return text;
+
+    this.markRuntime('iterators');
+
+    let error = temps.reduceRight((e, temp) => `_esdown.iterAbort(${ temp }, ${ e })`, '__$e');
+    return `try { ${ text } } catch (__$e) { throw ${ error }; }`;
   }
 
   ExpressionStatement(node) {
+    let expr = this.unwrapParens(node.expression);
+    let text;
+
     if (this.asi[node.start]) {
-      let text = this.stringify(node);
+      text = this.stringify(node);
       switch (text.charAt(0)) {
         case '(':
         case '[':
           text = ';' + text;
           break;
       }
-      return text;
     }
+
+    if (expr.type === 'AssignmentExpression' && this.isPattern(this.unwrapParens(expr.left)))
+      text = this.iteratorGuard(text || this.stringify(node), this.unwrapParens(expr.left));
+
+    return text;
   }
 
   Module(node) {
+    if (node.kind === 'async')
+      return this.asyncModule(node);
+
     // Strict directive is included with module wrapper
+    let insert = this.moduleInsert(node);
+
+    if (insert)
+      return insert + ' ' + this.stringify(node);
+  }
+
+  moduleInsert(node) {
     let inserted = [];
     let temps = this.tempVars(node);
 
@@ -309,8 +958,70 @@ class Replacer {
     if (temps)
       inserted.push(temps);
 
-    if (inserted.length > 0)
-      return inserted.join(' ') + ' ' + this.stringify(node);
+    if (node.tdzNames)
+      inserted.push(this.tdzReset(node) + ';');
+
+    return inserted.join(' ');
+  }
+
+  // Modules which contain top-level await are evaluated in the same way as
+  // the body of an async function.  The resulting promise is exposed as the
+  // "__ready" property of the module's exports.
+  asyncModule(node) {
+    let exports = Object.keys(this.exports);
+    let header = this.exportHeader(exports);
+    let footer = this.exportFooter(exports, ' ');
+    let head = '_esdown.asyncModule(exports, function() { ';
+
+    this.markRuntime('async');
+
+    if (node.stateMachine) {
+      let body = this.removeBraces(new StateMachine(this, node).translate(footer));
+
+      // Leave room for a shebang line
+      return (this.input.startsWith('\n') ? '\n' : '') + head + header + body + '})';
+    }
+
+    let insert = this.moduleInsert(node);
+
+    head += 'return _esdown.async(function*() { ' + header;
+
+    if (insert)
+      head += insert + ' ';
+
+    return insertBefore(this.stringify(node) + footer + '}.call(this)); })', head);
+  }
+
+  // Returns code which defines exports before any dependencies are loaded
+  exportHeader(exports) {
+    if (exports.length === 0)
+      return '';
+
+    if (this.options.liveExports) {
+      let getters = exports.map(k =>
+        `${ k }: { enumerable: true, get: function() { return ${ this.exports[k] }; } }`
+      );
+
+      return `Object.defineProperties(exports, { ${ getters.join(', ') } }); `;
+    }
+
+    let functions = this.hoistedFunctions();
+
+    // Exported functions are available before any dependencies are loaded
+    return exports
+      .filter(k => functions.has(this.exports[k]))
+      .map(k => `exports.${ k } = ${ this.exports[k] }; `)
+      .join('');
+  }
+
+  // Returns code which copies exported values after the module body has been
+  // evaluated
+  exportFooter(exports, separator) {
+    if (exports.length === 0 || this.options.liveExports)
+      return '';
+
+    let list = exports.map(k => `exports.${ k } = ${ this.exports[k] };`);
+    return separator + list.join(separator) + separator;
   }
 
   Script(node) {
@@ -318,7 +1029,24 @@ class Replacer {
   }
 
   FunctionBody(node) {
-    let insert = this.functionInsert(node.parent);
+    if (node.parent.stateMachine)
+      return new StateMachine(this, node.parent).translate();
+
+    let fn = node.parent;
+
+    if (this.isDerivedConstructor(fn)) {
+      // Derived constructors return the object created by the super call
+      let thisName = this.renameLexicalVar(node, 'this');
+      let text = this.stringify(node).slice(1, -1);
+      return '{ ' + this.functionInsert(fn) + text + `return ${ thisName }; }`;
+    }
+
+    let insert = this.functionInsert(fn);
+
+    // Base class constructors initialize instance fields before the
+    // constructor body is evaluated
+    if (fn.kind === 'constructor' && this.hasInstanceInit(fn.parent.parent))
+      insert = '__fields.call(this);' + (insert ? ' ' + insert : '');
 
     if (insert)
       return '{ ' + insert + ' ' + this.removeBraces(this.stringify(node)) + '}';
@@ -359,23 +1087,56 @@ class Replacer {
   }
 
   ObjectLiteral(node) {
-    if (node.hasComputed || node.hasSpread) {
+    let text = null;
+    let hasProto = node.properties.some(c => this.isProtoProperty(c));
+
+    if (node.hasComputed || node.hasSpread || node.hasHome || hasProto) {
       let close = false;
+      let home = false;
       node.properties.forEach(c => {
+        // Segments containing methods which use super are created by a
+        // function which receives the object builder
+        let end = home ? '} }' : '}';
+        let props = body => c.homeMethod ? `function(__home) { return { ${ body }` : `{ ${ body }`;
+        let inHome = home;
+        home = Boolean(c.homeMethod);
+
         if (c.type === 'SpreadExpression') {
-          c.text = `}).s({ _: ${ c.expression.text }`;
+          c.text = `${ end }).${ this.options.spec ? 'S' : 's' }({ _: ${ c.expression.text }`;
+          close = true;
+        } else if (this.isProtoProperty(c)) {
+          // The object is recreated with the specified prototype, unless the
+          // property is a shorthand property
+          c.text = c.expression === null ?
+            `${ end }).c('__proto__', { _: ${ c.name.text }` :
+            `${ end }).proto({ _: ${ c.expression.text }`;
           close = true;
         } else if (c.name.type === 'ComputedPropertyName') {
-          c.text = `}).c(${ c.name.expression.text }, { ${ c.text }`;
+          c.text = `${ end }).c(${ c.name.expression.text }, ${ props(c.text) }`;
           close = true;
-        } else if (close) {
-          c.text = `}).p({ ${ c.text }`;
+        } else if (close || home !== inHome) {
+          c.text = `${ end }).p(${ props(c.text) }`;
           close = false;
         }
       });
       this.markRuntime('computed');
-      return `_esdown.obj(${ this.stringify(node) }).obj`;
+      text = `_esdown.obj(${ this.stringify(node) }${ home ? ' }' : '' }).obj`;
     }
+
+    return text;
+  }
+
+  isProtoProperty(node) {
+    if (node.type !== 'PropertyDefinition')
+      return false;
+
+    switch (node.name.type) {
+      case 'Identifier':
+      case 'StringLiteral':
+        return node.name.value === '__proto__';
+    }
+
+    return false;
   }
 
   ArrayLiteral(node) {
@@ -386,57 +1147,225 @@ class Replacer {
   MethodDefinition(node) {
     let text;
 
-    switch (node.kind) {
-      case '':
-      case 'constructor':
-        text = `function(${ this.joinList(node.params) }) ${ node.body.text }`;
-        break;
+    switch (node.kind) {
+      case '':
+      case 'constructor':
+        text = `function(${ this.joinList(node.params) }) ${ node.body.text }`;
+        break;
+
+      case 'async':
+      case 'async-generator':
+        text = this.asyncFunction(node);
+        break;
+
+      case 'generator':
+        text = `function${ node.stateMachine ? '' : '*' }` +
+          `(${ this.joinList(node.params) }) ${ node.body.text }`;
+        break;
+
+      case 'get':
+      case 'set':
+        if (node.name.type === 'PrivateName')
+          text = `function(${ this.joinList(node.params) }) ${ node.body.text }`;
+        break;
+    }
+
+    // Private methods are stored outside of the prototype by ClassBody
+    if (node.name.type === 'PrivateName')
+      return text;
+
+    if (text !== undefined)
+      return node.name.text + ': ' + text;
+  }
+
+  PropertyDefinition(node) {
+    if (node.expression === null) {
+      let rawName = this.input.slice(node.name.start, node.name.end);
+
+      if (node.name.value.search(ASTRAL_CHAR) >= 0)
+        rawName = quotedName(node.name.value);
+
+      return rawName + ': ' + node.name.text;
+    }
+  }
+
+  VariableDeclaration(node) {
+    let patterns = node.declarations.map(d => d.pattern);
+
+    switch (node.parent.type) {
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        if (!this.inStateMachine(node) && !this.isHoistedVar(node) && !node.iterationRecord)
+          return this.stringify(node).replace(/^(let|const)/, 'var');
+
+        // Variables within state machines and per-iteration loop functions
+        // are declared by the outer function
+        return this.stringify(node).replace(/^(var|let|const)\s*/, '');
+    }
+
+    if (!this.inStateMachine(node) && !this.isHoistedVar(node) && !node.iterationRecord)
+      return this.iteratorGuard(this.stringify(node).replace(/^(let|const)/, 'var'), ...patterns);
+
+    let list = node.declarations.filter(d => d.initializer || d.tdzReset).map(d => d.text);
+    return this.iteratorGuard(list.length > 0 ? list.join(', ') + ';' : ';', ...patterns);
+  }
+
+  ReturnStatement(node) {
+    let loop = this.iterationFunction(node, null);
+
+    // Returns from per-iteration loop functions are wrapped in an object
+    if (loop) {
+      let value = node.argument ? node.argument.text : 'void 0';
+
+      if (!node.argument && this.isDerivedConstructor(this.parentFunction(node)))
+        value = this.renameLexicalVar(node, 'this');
+
+      loop.iterationReturn = true;
+      return this.iterationExit(loop, `{ v: ${ value } }`);
+    }
+
+    if (this.inStateMachine(node)) {
+      let arg = node.argument ? ', ' + node.argument.text : '';
+      return `return __g.abrupt('return'${ arg });`;
+    }
+
+    if (!node.argument && this.isDerivedConstructor(this.parentFunction(node)))
+      return `return ${ this.renameLexicalVar(node, 'this') };`;
+  }
+
+  BreakStatement(node) {
+    return this.jumpStatement(node, 'break');
+  }
+
+  ContinueStatement(node) {
+    return this.jumpStatement(node, 'continue');
+  }
+
+  // Returns the names of function declarations at the top level of a module
+  hoistedFunctions() {
+    let names = new Set;
+
+    this.root.statements.forEach(node => {
+      switch (node.type) {
+        case 'ExportDeclaration':
+          node = node.declaration;
+          break;
+        case 'ExportDefault':
+          node = node.binding;
+          break;
+      }
+
+      if (node.type === 'FunctionDeclaration')
+        names.add(node.identifier.text);
+      else if (node.type === 'FunctionExpression')
+        names.add(node.targetName);
+    });
+
+    return names;
+  }
+
+  // Imported bindings are replaced with reads from the imported module, so
+  // that they observe the current values of its exports
+  markLiveImports() {
+    // Imported bindings are declared in the module's lexical scope
+    let names = this.parseResult.scopeTree.children[0].names;
+
+    this.liveImports = Object.create(null);
+
+    this.root.statements.forEach(node => {
+      if (node.type !== 'ImportDeclaration')
+        return;
+
+      let moduleSpec = this.modulePath(node.from);
+      let imports = node.imports;
+      let bindings = [];
+
+      if (imports && imports.type === 'DefaultImport') {
+        bindings.push([imports.identifier, `${ moduleSpec }['default']`]);
+        imports = imports.imports;
+      }
+
+      if (imports && imports.specifiers) {
+        imports.specifiers.forEach(spec => {
+          let local = spec.local || spec.imported;
+          bindings.push([local, moduleSpec + '.' + this.exportName(spec.imported)]);
+        });
+      }
+
+      bindings.forEach(([ident, value]) => {
+        this.liveImports[ident.value] = value;
+        names[ident.value].references.forEach(ref => ref.liveImport = value);
+      });
+    });
+  }
+
+  // Returns the module specifier and exported name which an imported binding
+  // refers to, or null if the identifier is not imported.  Namespace imports
+  // refer to the name "*".
+  importSource(ident) {
+    let source = null;
 
-      case 'async':
-      case 'async-generator':
-        text = this.asyncFunction(node);
-        break;
+    this.root.statements.forEach(node => {
+      if (node.type !== 'ImportDeclaration')
+        return;
 
-      case 'generator':
-        text = `function*(${ this.joinList(node.params) }) ${ node.body.text }`;
-        break;
-    }
+      let url = node.from.value.trim();
+      let imports = node.imports;
+      let match = (local, name) => {
+        if (local.value === ident.value)
+          source = { url, name };
+      };
 
-    if (text !== undefined)
-      return node.name.text + ': ' + text;
-  }
+      if (imports && imports.type === 'DefaultImport') {
+        match(imports.identifier, 'default');
+        imports = imports.imports;
+      }
 
-  PropertyDefinition(node) {
-    if (node.expression === null) {
-      let rawName = this.input.slice(node.name.start, node.name.end);
-      return rawName + ': ' + node.name.text;
-    }
-  }
+      if (imports && imports.type === 'NamespaceImport')
+        match(imports.identifier, '*');
+      else if (imports && imports.specifiers)
+        imports.specifiers.forEach(spec => {
+          match(spec.local || spec.imported, this.exportName(spec.imported));
+        });
+    });
 
-  VariableDeclaration(node) {
-    return this.stringify(node).replace(/^(let|const)/, 'var');
+    return source;
   }
 
   ImportDeclaration(node) {
     let moduleSpec = this.modulePath(node.from);
     let imports = node.imports;
-    let out = this.importVars(imports, moduleSpec);
+
+    // Imported bindings within state machines are declared by the outer function
+    let keyword = this.inStateMachine(node) ? '' : 'var ';
+
+    // Only namespace imports are declared as variables
+    if (this.liveImports) {
+      while (imports && imports.type === 'DefaultImport')
+        imports = imports.imports;
+
+      return imports && imports.type === 'NamespaceImport' ?
+        this.importVars(imports, moduleSpec, keyword) :
+        '';
+    }
+    let out = this.importVars(imports, moduleSpec, keyword);
 
     if (imports && imports.type === 'DefaultImport' && imports.imports)
-      out += ' ' + this.importVars(imports.imports, moduleSpec);
+      out += ' ' + this.importVars(imports.imports, moduleSpec, keyword);
 
     return out;
   }
 
-  importVars(imports, moduleSpec) {
+  importVars(imports, moduleSpec, keyword) {
     if (!imports)
       return '';
 
     switch (imports.type) {
       case 'NamespaceImport':
-        return `var ${ imports.identifier.text } = ${ moduleSpec };`;
+        return `${ keyword }${ imports.identifier.text } = ${ moduleSpec };`;
       case 'DefaultImport':
-        return `var ${ imports.identifier.text } = ${ moduleSpec }['default'];`;
+        return `${ keyword }${ imports.identifier.text } = ${ moduleSpec }['default'];`;
     }
 
     let list = [];
@@ -449,7 +1378,7 @@ class Replacer {
         list.push({
           start: spec.start,
           end: spec.end,
-          text: local.text + ' = ' + moduleSpec + '.' + imported.text,
+          text: local.text + ' = ' + moduleSpec + '.' + this.exportName(imported),
         });
       });
     }
@@ -457,7 +1386,19 @@ class Replacer {
     if (list.length === 0)
       return '';
 
-    return 'var ' + this.joinList(list) + ';';
+    return keyword + this.joinList(list) + ';';
+  }
+
+  // Returns the output spelling of a declared binding, including any suffix
+  // added when the binding was renamed
+  declaredName(decl) {
+    return es5Identifier(decl.value) + (decl.suffix || '');
+  }
+
+  // Returns the ES5 spelling of an imported or exported name.  Local bindings
+  // may have been renamed, but module property names are not.
+  exportName(ident) {
+    return es5Identifier(ident.value);
   }
 
   ExportDeclaration(node) {
@@ -470,13 +1411,13 @@ class Replacer {
         if (this.isPattern(decl.pattern)) {
           decl.pattern.patternTargets.forEach(x => exports[x] = x);
         } else {
-          ident = decl.pattern.text;
-          exports[ident] = ident;
+          ident = decl.pattern;
+          exports[this.exportName(ident)] = ident.text;
         }
       });
     } else {
-      ident = target.identifier.text;
-      exports[ident] = ident;
+      ident = target.identifier;
+      exports[this.exportName(ident)] = ident.text;
     }
 
     return target.text;
@@ -487,12 +1428,22 @@ class Replacer {
     let fromPath = from ? this.modulePath(from) : '';
 
     node.specifiers.forEach(spec => {
-      let local = spec.local.text;
-      let exported = spec.exported ? spec.exported.text : local;
-
-      this.exports[exported] = from ?
-        fromPath + '.' + local :
-        local;
+      let local = spec.local;
+      let exported = this.exportName(spec.exported || local);
+
+      if (from)
+        this.exports[exported] = fromPath + '.' + this.exportName(local);
+      else if (this.liveImports && this.liveImports[local.value])
+        this.exports[exported] = this.liveImports[local.value];
+      else
+        this.exports[exported] = local.text;
+
+      let source = from ?
+        { url: from.value.trim(), name: this.exportName(local) } :
+        this.importSource(local);
+
+      if (source)
+        this.reexports[exported] = source;
     });
 
     return '';
@@ -502,7 +1453,12 @@ class Replacer {
     let from = node.from;
     let fromPath = from ? this.modulePath(from) : '';
 
-    this.exports[node.identifier.text] = `${ fromPath }['default']`;
+    let name = this.exportName(node.identifier);
+
+    this.exports[name] = `${ fromPath }['default']`;
+
+    if (from)
+      this.reexports[name] = { url: from.value.trim(), name: 'default' };
 
     return '';
   }
@@ -512,13 +1468,27 @@ class Replacer {
     let fromPath = from ? this.modulePath(from) : '';
 
     if (from && node.identifier) {
-      this.exports[node.identifier.text] = fromPath;
+      let name = this.exportName(node.identifier);
+      this.exports[name] = fromPath;
+      this.reexports[name] = { url: from.value.trim(), name: '*' };
       return '';
     }
 
-    return 'Object.keys(' + fromPath + ').forEach(function(k) { ' +
-      'exports[k] = ' + fromPath + '[k]; ' +
-    '});';
+    let text;
+
+    if (this.options.liveExports) {
+      this.markRuntime('exports');
+      text = `_esdown.exportAll(exports, ${ fromPath });`;
+    } else {
+      text = 'Object.keys(' + fromPath + ').forEach(function(k) { ' +
+        'if (k !== "default") exports[k] = ' + fromPath + '[k]; ' +
+      '});';
+    }
+
+    if (from && from.type === 'StringLiteral')
+      return this.options.replaceExportAll(from.value.trim(), text) || text;
+
+    return text;
   }
 
   ExportDefault(node) {
@@ -527,6 +1497,9 @@ class Replacer {
       case 'FunctionDeclaration':
         this.exports['default'] = node.binding.identifier.text;
         return node.binding.text;
+      case 'FunctionExpression':
+        this.exports['default'] = node.binding.targetName;
+        return node.binding.text;
     }
 
     return `exports['default'] = ${ node.binding.text };`;
@@ -543,9 +1516,41 @@ class Replacer {
       if (ident) return ident;
     }
 
+    // import.meta.resolve calls with a literal specifier may be resolved
+    // when the module is translated
+    if (this.isMetaResolve(callee) && args.length === 1 && args[0].type === 'StringLiteral') {
+      let url = this.options.resolveMeta(args[0].value);
+      if (url) return JSON.stringify(url);
+    }
+
     if (node.hasSpread)
       spread = this.spreadList(args);
 
+    if (this.isPrivateMember(this.unwrapParens(callee))) {
+      let member = this.unwrapParens(callee);
+      let [object, ref] = this.privateObject(member);
+      let method = `${ this.privateVar(member.property) }.get(${ object })`;
+
+      if (spread)
+        return `${ method }.apply(${ ref }, ${ spread })`;
+
+      return `${ method }.call(${ ref }${ args.length > 0 ? ', ' + this.joinList(args) : '' })`;
+    }
+
+    if (node.superCall) {
+      let thisName = node.superCall;
+      argText = spread || '[' + this.joinList(args) + ']';
+      this.markRuntime('classes');
+
+      // Instance fields are initialized after the super call returns
+      if (node.superFields) {
+        return `(${ thisName } = _esdown.construct(__base, ${ argText }, ${ thisName }), ` +
+          `__fields.call(${ thisName }), ${ thisName })`;
+      }
+
+      return `(${ thisName } = _esdown.construct(__base, ${ argText }, ${ thisName }))`;
+    }
+
     if (node.injectThisArg) {
       argText = node.injectThisArg;
 
@@ -573,6 +1578,26 @@ class Replacer {
       return callee.text + '(' + this.joinList(args) + ')';
   }
 
+  ImportCall(node) {
+    let arg = node.argument;
+    let load = null;
+
+    if (arg.type === 'StringLiteral')
+      load = this.options.replaceImport(arg.value.trim());
+
+    // Modules loaded by esdown are imported with module.importSync
+    if (!load && this.options.runtimeImports) {
+      load = 'module.importSync(__s)';
+    } else if (!load) {
+      load = '__import(require(__s))';
+      this.dynamicImport = true;
+    }
+
+    this.markRuntime('import');
+
+    return `_esdown.dynamicImport(${ arg.text }, function(__s) { return ${ load }; })`;
+  }
+
   NewExpression(node) {
     if (node.hasSpread) {
       let temp = this.addTempVar(node);
@@ -594,16 +1619,25 @@ class Replacer {
     let p = node.parent;
     let elem = p;
 
-    while (elem && elem.type !== 'MethodDefinition')
+    while (elem && !/^(MethodDefinition|ClassField|StaticBlock)$/.test(elem.type))
       elem = elem.parent;
 
-    if (elem && elem.static)
+    if (elem && (elem.static || elem.type === 'StaticBlock'))
       proto = '__base';
 
+    // Object literal methods look up properties on the prototype of the object
+    // which is being built when the method is created
+    if (elem && elem.parent.type === 'ObjectLiteral') {
+      elem.homeMethod = true;
+      elem.parent.hasHome = true;
+      proto = 'Object.getPrototypeOf(__home.obj)';
+    }
+
     if (p.type === 'CallExpression') {
       // super(args)
       proto = '__base';
-      p.injectThisArg = 'this';
+      p.superCall = this.renameLexicalVar(node, 'this');
+      p.superFields = this.hasInstanceInit(elem.parent.parent);
     } else {
       // super.foo
       p.isSuperLookup = true;
@@ -611,25 +1645,209 @@ class Replacer {
       let pp = this.parenParent(p);
 
       // super.foo(args)
+      // Arrow functions use the "this" value of the enclosing method
       if (pp[0].type === 'CallExpression' && pp[0].callee === pp[1])
-        pp[0].injectThisArg = 'this';
+        pp[0].injectThisArg = this.renameLexicalVar(node, 'this');
     }
 
     return proto;
   }
 
   MemberExpression(node) {
+    // Property names which are not valid ES5 identifiers are accessed with brackets
+    let property = node.property;
+
+    if (!node.computed && property.type === 'Identifier' && property.text.charAt(0) === "'")
+      return `${ node.object.text }[${ node.property.text }]`;
+
+    // a?.b
+    if (node.object.type === 'OptionalChain' && !node.computed && !this.isPrivateMember(node))
+      return `${ node.object.text }.${ node.property.text }`;
+
     if (node.isSuperLookup) {
       let prop = node.property.text;
       prop = node.computed ? '[' + prop + ']' : '.' + prop;
       return node.object.text + prop;
     }
+
+    if (this.isPrivateMember(node)) {
+      switch (node.parent.type) {
+        case 'PatternElement':
+        case 'PatternProperty':
+        case 'PatternRestElement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+          this.fail('Private members cannot be used as binding targets', node);
+      }
+
+      return `${ this.privateVar(node.property) }.get(${ node.object.text })`;
+    }
+  }
+
+  BinaryExpression(node) {
+    // #name in obj
+    if (node.operator === 'in' && node.left.type === 'PrivateName')
+      return `${ this.privateVar(node.left) }.has(${ node.right.text })`;
+
+    // a ** b
+    if (node.operator === '**') {
+      let operands = [node.right.text];
+      let left = node.left;
+
+      // Exponentiation is right-associative, but the parser groups unparenthesized
+      // chains from the left
+      for (; left.type === 'BinaryExpression' && left.operator === '**'; left = left.left)
+        operands.unshift(left.right.text);
+
+      operands.unshift(left.text);
+      return operands.reduceRight((exp, base) => `Math.pow(${ base }, ${ exp })`);
+    }
+
+    // a ?? b
+    if (node.operator === '??') {
+      let temp = this.addTempVar(node);
+      return `((${ temp } = ${ node.left.text }) != null ? ${ temp } : ${ node.right.text })`;
+    }
+  }
+
+  NumberLiteral(node) {
+    let text = this.input.slice(node.start, node.end);
+
+    // Binary and octal literals, and literals with numeric separators
+    if (!/^0[bo]|_/i.test(text))
+      return;
+
+    text = text.replace(/_/g, '');
+
+    // BigInt literals keep their suffix
+    if (/^0[bo]/i.test(text))
+      text = String(node.value) + (/n$/.test(text) ? 'n' : '');
+
+    // 0b1.toString()
+    if (node.parent.type === 'MemberExpression' && node.parent.object === node)
+      text = /^\d+$/.test(text) ? '(' + text + ')' : text;
+
+    return text;
+  }
+
+  StringLiteral(node) {
+    let text = this.input.slice(node.start, node.end);
+
+    // '\u{1F600}'
+    if (text.indexOf('\\u{') >= 0)
+      return normalizeEscapes(text);
+  }
+
+  RegularExpression(node) {
+    let result = rewriteRegExp(node.value, node.flags, msg => this.fail(msg, node));
+
+    if (!result)
+      return;
+
+    let text = `/${ result.pattern }/${ result.flags }`;
+
+    if (result.names.size === 0)
+      return text;
+
+    let names = [];
+    result.names.forEach((index, name) => names.push(`${ name }: ${ index }`));
+
+    this.markRuntime('regexp');
+    return `_esdown.namedRegExp(${ text }, { ${ names.join(', ') } })`;
+  }
+
+  OptionalExpression(node) {
+    let temp = this.optionalTemp(node);
+    let object = node.object.text;
+    let expr = node.expression.text;
+    let empty = 'void 0';
+
+    // Optional calls on members are called with the member's object
+    if (node.optionalThis) {
+      let member = this.optionalCallTarget(node.object);
+      member.object.text = `(${ node.optionalThis } = ${ member.object.text })`;
+
+      for (let p = member; p !== node; p = p.parent)
+        this.rewrite(p);
+
+      object = node.object.text;
+    }
+
+    // delete a?.b evaluates to true when the chain short-circuits
+    let [parent] = this.parenParent(node);
+
+    if (parent.type === 'UnaryExpression' && parent.operator === 'delete') {
+      empty = 'true';
+      expr = 'delete ' + expr;
+    }
+
+    return `((${ temp } = ${ object }) == null ? ${ empty } : ${ expr })`;
+  }
+
+  OptionalChain(node) {
+    let owner = node.parent;
+
+    while (owner.type !== 'OptionalExpression')
+      owner = owner.parent;
+
+    let member = this.optionalCallTarget(owner.object);
+
+    // a.b?.()
+    if (member && node.parent.type === 'CallExpression' && node.parent.callee === node) {
+      if (member.object.type === 'OptionalChain') {
+        node.parent.injectThisArg = member.object.text;
+      } else {
+        owner.optionalThis = this.addTempVar(owner);
+        node.parent.injectThisArg = owner.optionalThis;
+      }
+    }
+
+    return this.optionalTemp(owner);
+  }
+
+  // Returns the member expression which provides the receiver for an
+  // optional call, if any
+  optionalCallTarget(node) {
+    node = this.unwrapParens(node);
+
+    if (node.type === 'OptionalExpression')
+      return this.optionalCallTarget(node.expression);
+
+    return node.type === 'MemberExpression' && !node.isSuperLookup ? node : null;
+  }
+
+  optionalTemp(node) {
+    if (!node.optionalTemp)
+      node.optionalTemp = this.addTempVar(node);
+
+    return node.optionalTemp;
+  }
+
+  UpdateExpression(node) {
+    let member = this.unwrapParens(node.expression);
+
+    if (!this.isPrivateMember(member))
+      return;
+
+    let name = this.privateVar(member.property);
+    let [object, ref] = this.privateObject(member);
+    let op = node.operator.charAt(0);
+
+    if (node.prefix)
+      return `${ name }.set(${ object }, +${ name }.get(${ ref }) ${ op } 1)`;
+
+    // Postfix expressions evaluate to the original value
+    let value = this.addTempVar(node);
+    let update = `(${ value } = +${ name }.get(${ ref })) ${ op } 1`;
+    return `(${ name }.set(${ object }, ${ update }), ${ value })`;
   }
 
   ArrowFunction(node) {
     let body = node.body.text;
 
-    if (node.body.type !== 'FunctionBody') {
+    if (node.stateMachine && node.body.type !== 'FunctionBody') {
+      body = new StateMachine(this, node).translate();
+    } else if (node.body.type !== 'FunctionBody') {
       let insert = this.functionInsert(node);
 
       if (insert)
@@ -642,6 +1860,9 @@ class Replacer {
       this.asyncFunction(node, body) :
       'function(' + this.joinList(node.params) + ') ' + body;
 
+    if (node.recordLoops)
+      text = this.captureRecords(node, text);
+
     return this.wrapFunctionExpression(text, node);
   }
 
@@ -649,25 +1870,129 @@ class Replacer {
     return this.renameLexicalVar(node, 'this');
   }
 
+  MetaProperty(node) {
+    // import.meta
+    if (node.left === 'import')
+      return this.importMeta();
+
+    // new.target
+    let fn = this.lexicalParent(node);
+
+    while (fn && fn.type === 'ArrowFunction')
+      fn = this.lexicalParent(fn);
+
+    if (!fn)
+      return 'void 0';
+
+    switch (fn.type) {
+      case 'MethodDefinition':
+        // Class constructors are always called with the new object as "this"
+        if (fn.kind === 'constructor')
+          return this.renameLexicalVar(node, 'this') + '.constructor';
+        break;
+
+      case 'FunctionDeclaration':
+      case 'FunctionExpression': {
+        if (fn.kind !== '')
+          break;
+
+        let thisName = this.renameLexicalVar(node, 'this');
+        let name = fn.identifier ? fn.identifier.text : '__target';
+
+        if (!fn.identifier)
+          fn.targetName = name;
+
+        return `(${ thisName } instanceof ${ name } ? ${ thisName }.constructor : void 0)`;
+      }
+    }
+
+    return 'void 0';
+  }
+
   Identifier(node) {
     if (node.value === 'arguments' && node.context === 'variable')
       return this.renameLexicalVar(node, 'arguments');
 
+    if (node.liveImport) {
+      let parent = node.parent;
+
+      // Imported functions are called without a receiver
+      if (parent.type === 'CallExpression' && parent.callee === node ||
+        parent.type === 'TaggedTemplateExpression' && parent.tag === node) {
+        return `(0, ${ node.liveImport })`;
+      }
+
+      // The module expression may contain a call, which must not be taken
+      // as the arguments of a new expression
+      if (parent.type === 'NewExpression' && parent.callee === node)
+        return `(${ node.liveImport })`;
+
+      return node.liveImport;
+    }
+
+    if (node.iterationRecord)
+      return this.recordVar(node.iterationRecord) + '.' + es5Identifier(node.value);
+
+    let raw = this.input.slice(node.start, node.end);
+    let text = null;
+
+    if (raw.indexOf('\\u{') >= 0 || raw.search(ASTRAL_CHAR) >= 0) {
+      // Property names containing astral code points are written as strings
+      if (this.isPropertyName(node) && node.value.search(ASTRAL_CHAR) >= 0)
+        return quotedName(node.value);
+
+      text = es5Identifier(raw);
+    }
+
     if (node.suffix)
-      return this.input.slice(node.start, node.end) + node.suffix;
+      text = (text || raw) + node.suffix;
+
+    if (node.tdzCheck) {
+      this.markRuntime('tdz');
+      return `_esdown.tdzCheck(${ text || node.value }, '${ node.value }')`;
+    }
+
+    return text;
+  }
+
+  isPropertyName(node) {
+    let parent = node.parent;
+
+    switch (parent.type) {
+      case 'MemberExpression':
+        return parent.property === node && !parent.computed;
+
+      case 'PropertyDefinition':
+        return parent.name === node && parent.expression !== null;
+
+      case 'PatternProperty':
+        return parent.name === node && parent.pattern !== null;
+
+      case 'MethodDefinition':
+      case 'ClassField':
+        return parent.name === node;
+    }
+
+    return false;
   }
 
   UnaryExpression(node) {
     if (node.operator === 'delete' && node.overrideDelete)
       return '!void ' + node.expression.text;
 
+    // The delete operator is moved inside of optional chains
+    let expr = this.unwrapParens(node.expression);
+
+    if (node.operator === 'delete' && expr.type === 'OptionalExpression')
+      return expr.text;
+
     if (node.operator === 'await')
       return this.awaitYield(this.parentFunction(node), node.expression.text);
   }
 
   YieldExpression(node) {
     // V8 circa Node 0.11.x does not access Symbol.iterator correctly
-    if (node.delegate) {
+    if (node.delegate && !this.inStateMachine(node)) {
       let fn = this.parentFunction(node);
       let symbol = isAsyncType(fn.kind) ? 'asyncIterator' : 'iterator';
       node.expression.text = `(${ node.expression.text })[Symbol.${ symbol }]()`;
@@ -677,45 +2002,48 @@ class Replacer {
   FunctionDeclaration(node) {
     if (isAsyncType(node.kind))
       return this.asyncFunction(node);
+
+    if (node.stateMachine) {
+      let ident = node.identifier ? ' ' + node.identifier.text : '';
+      return `function${ ident }(${ this.joinList(node.params) }) ${ node.body.text }`;
+    }
   }
 
   FunctionExpression(node) {
-    return this.FunctionDeclaration(node);
+    let text = this.FunctionDeclaration(node);
+
+    // Anonymous default functions are declared with a generated name, so that
+    // they are hoisted like other function declarations
+    if (!node.identifier && !node.targetName && node.parent.type === 'ExportDefault')
+      node.targetName = '__default';
+
+    // Anonymous functions which reference new.target are given a name
+    if (node.targetName) {
+      text = (text || this.stringify(node))
+        .replace(/^function\s*(\*?)\s*/, 'function$1 ' + node.targetName);
+    }
+
+    if (node.recordLoops)
+      text = this.captureRecords(node, text || this.stringify(node));
+
+    return text;
   }
 
   ClassDeclaration(node) {
-    this.markRuntime('classes');
-
-    return 'var ' + node.identifier.text + ' = _esdown.class(' +
-      (node.base ? node.base.text + ', ' : '') +
-      'function(__' +
-        (node.hasStatic || node.base ? ', __static' : '') +
-        (node.base ? ', __super, __base' : '') +
-      ') {' +
-      this.strictDirective() +
-      this.removeBraces(node.body.text) + ' });';
+    return (this.inStateMachine(node) ? '' : 'var ') +
+      node.identifier.text + ' = ' + this.classDefinition(node) + ';';
   }
 
   ClassExpression(node) {
     let before = '';
     let after = '';
 
-    if (node.base)
-      this.fail('Subclassing not supported', node.base);
-
     if (node.identifier) {
       before = 'function() { var ' + node.identifier.text + ' = ';
       after = '; return ' + node.identifier.text + '; }()';
     }
 
-    this.markRuntime('classes');
-
-    return '(' + before +
-      '_esdown.class(' +
-      'function(__' + (node.hasStatic ? ', __static' : '') + ') {' +
-        this.strictDirective() +
-        this.removeBraces(node.body.text) + ' })' +
-      after + ')';
+    return '(' + before + this.classDefinition(node) + after + ')';
   }
 
   ClassBody(node) {
@@ -726,11 +2054,36 @@ class Replacer {
     let ctorHead = (ctorName ? ctorName + ' = ' : '') + 'function';
     let header = [];
     let footer = [];
+    let fields = [];
+    let staticFields = [];
 
     elems.reduce((prev, e, index) => {
+      if (e.type === 'ClassField') {
+        this.classField(e);
+        (e.static ? staticFields : fields).push(e);
+        return '';
+      }
+
+      // Static blocks are evaluated in order with static fields
+      if (e.type === 'StaticBlock') {
+        e.body = this.removeBraces(e.text.replace(/^static\s*/, ''));
+        e.text = this.syncNewlines(e.start, e.end, '');
+        staticFields.push(e);
+        return '';
+      }
+
       if (e.type !== 'MethodDefinition')
         return '';
 
+      // Private methods are installed along with fields, before any
+      // field initializers are evaluated
+      if (e.name.type === 'PrivateName') {
+        if (this.privateMethod(e, elems))
+          (e.static ? staticFields : fields).unshift(e);
+
+        return '';
+      }
+
       let text = e.text;
       let fn = '__';
 
@@ -773,18 +2126,128 @@ class Replacer {
       header.push('var ' + ctorName + ';');
 
     // Add a default constructor if none was provided
-    if (!hasCtor)
-      header.push('__({ constructor: ' + ctorHead + '() {} });');
+    if (!hasCtor && node.parent.base && fields.length > 0) {
+      header.push('__({ constructor: ' + ctorHead + '() { ' +
+        'var __this = _esdown.construct(__base, arguments, this); ' +
+        '__fields.call(__this); return __this; } });');
+    } else if (!hasCtor && node.parent.base) {
+      header.push('__({ constructor: ' + ctorHead + '() { ' +
+        'return _esdown.construct(__base, arguments, this); } });');
+    } else if (!hasCtor) {
+      header.push('__({ constructor: ' + ctorHead + '() {' +
+        (fields.length > 0 ? ' __fields.call(this); ' : '') + '} });');
+    }
+
+    if (fields.length > 0)
+      footer.push('function __fields() { ' + this.fieldInitializers(fields) + ' }');
+
+    // Static fields and blocks are initialized by the runtime after the
+    // class constructor has been created
+    if (staticFields.length > 0)
+      footer.push('return function() { ' + this.fieldInitializers(staticFields) + ' };');
+
+    let text = this.stringify(node);
+
+    if (header.length > 0)
+      text = '{ ' + header.join(' ') + text.slice(1);
+
+    if (footer.length > 0)
+      text = text.slice(0, -1) + ' ' + footer.join(' ') + ' }';
+
+    return text;
+  }
+
+  classField(node) {
+    let text = '';
+
+    if (node.name.type === 'ComputedPropertyName') {
+      // Computed field names are evaluated when the class is defined
+      node.key = this.addTempVar(node);
+      text = `${ node.key } = ${ node.name.expression.text };`;
+    } else if (node.name.type === 'PrivateName') {
+      text = `var ${ this.privateVar(node.name) } = _esdown.pfield('#${ node.name.value }');`;
+      this.markRuntime('private');
+    }
+
+    node.text = this.syncNewlines(node.start, node.end, text);
+  }
+
+  privateMethod(node, elems) {
+    let name = node.name.value;
+    let text = '';
+
+    if (node.kind === 'get' || node.kind === 'set') {
+      // Getter and setter pairs share a single private name
+      let pair = elems.filter(e =>
+        e.type === 'MethodDefinition' &&
+        e.name.type === 'PrivateName' &&
+        e.name.value === name);
+
+      if (pair[0] === node) {
+        let getter = pair.find(e => e.kind === 'get');
+        let setter = pair.find(e => e.kind === 'set');
+
+        text = `var ${ this.privateVar(node.name) } = _esdown.paccessor('#${ name }', ` +
+          `${ getter ? getter.text : 'void 0' }, ${ setter ? setter.text : 'void 0' });`;
+      }
+    } else {
+      text = `var ${ this.privateVar(node.name) } = _esdown.pmethod('#${ name }', ${ node.text });`;
+    }
+
+    this.markRuntime('private');
+    node.text = text || this.syncNewlines(node.start, node.end, '');
+
+    return text !== '';
+  }
+
+  fieldInitializers(fields) {
+    let lexicalVars = {};
+    let list = [];
+    let chain = '';
+
+    fields.forEach(field => {
+      if (field.type === 'StaticBlock') {
+        if (chain)
+          list.push(chain + ';');
+
+        chain = '';
+        list.push(`(function() { ${ this.lexicalVarNames(field) }${ field.body }}).call(this);`);
+        return;
+      }
+
+      let value = field.initializer ? field.initializer.text : 'void 0';
+
+      Object.assign(lexicalVars, field.lexicalVars);
+
+      if (field.name.type === 'PrivateName') {
+        if (chain)
+          list.push(chain + ';');
+
+        chain = '';
+        value = field.type === 'ClassField' ? ', ' + value : '';
+        list.push(`${ this.privateVar(field.name) }.init(this${ value });`);
+        return;
+      }
+
+      if (!chain)
+        chain = '_esdown.obj(this)';
+
+      if (field.key) {
+        chain += `.c(${ field.key }, { _: ${ value } })`;
+      } else {
+        chain += `.p({ ${ field.name.text }: ${ value } })`;
+      }
 
-    let text = this.stringify(node);
+      this.markRuntime('computed');
+    });
 
-    if (header.length > 0)
-      text = '{ ' + header.join(' ') + text.slice(1);
+    if (chain)
+      list.push(chain + ';');
 
-    if (footer.length > 0)
-      text = text.slice(1, -1) + ' ' + footer.join(' ') + ' }';
+    if (Object.keys(lexicalVars).length > 0)
+      list.unshift(this.lexicalVarNames({ lexicalVars }));
 
-    return text;
+    return list.join(' ');
   }
 
   TaggedTemplateExpression(node) {
@@ -818,6 +2281,18 @@ class Replacer {
       if (sub.length > 0) out += ', ' + sub.map(x => x.text).join(', ');
       out += ')';
 
+    } else if (this.options.spec) {
+
+      // String.prototype.concat converts substitutions with ToString
+      out = this.rawToString(lit[0].raw);
+
+      for (let i = 1; i < lit.length; ++i) {
+        let expr = sub[i - 1];
+        let value = expr.type === 'SequenceExpression' ? `(${ expr.text })` : expr.text;
+        let text = lit[i].raw ? ', ' + this.rawToString(lit[i].raw) : '';
+        out += `.concat(${ value }${ text })`;
+      }
+
     } else {
 
       for (let i = 0; i < lit.length; ++i) {
@@ -831,17 +2306,26 @@ class Replacer {
   }
 
   CatchClause(node) {
+    // Catch clauses without a binding are given an unused parameter
+    if (!node.param)
+      return `catch (${ this.addTempVar(node, null, true) }) ${ node.body.text }`;
+
     if (!this.isPattern(node.param))
       return;
 
     let temp = this.addTempVar(node, null, true);
-    let assign = this.translatePattern(node.param, temp).join(', ');
+    let keyword = this.inStateMachine(node) ? '' : 'var ';
+    let assign = keyword + this.translatePattern(node.param, temp).join(', ') + ';';
     let body = this.removeBraces(node.body.text);
 
-    return `catch (${ temp }) { var ${ assign }; ${ body } }`;
+    return `catch (${ temp }) { ${ this.iteratorGuard(assign, node.param) } ${ body } }`;
   }
 
   VariableDeclarator(node) {
+    // Bindings which were reset to an uninitialized state must be assigned
+    if (!node.initializer && node.tdzReset)
+      return node.pattern.text + ' = void 0';
+
     if (!node.initializer || !this.isPattern(node.pattern))
       return;
 
@@ -855,6 +2339,39 @@ class Replacer {
 
     let left = this.unwrapParens(node.left);
 
+    if (this.isPrivateMember(left)) {
+      let name = this.privateVar(left.property);
+
+      if (node.operator === '=')
+        return `${ name }.set(${ left.object.text }, ${ node.right.text })`;
+
+      let [object, ref] = this.privateObject(left);
+      let op = node.operator.slice(0, -1);
+      let right = node.right.text;
+
+      if (op === '**')
+        return `${ name }.set(${ object }, Math.pow(${ name }.get(${ ref }), ${ right }))`;
+
+      if (op === '??') {
+        let value = this.addTempVar(node);
+        return `((${ value } = ${ name }.get(${ object })) != null ? ${ value } : ` +
+          `${ name }.set(${ ref }, ${ right }))`;
+      }
+
+      if (op === '&&' || op === '||')
+        return `(${ name }.get(${ object }) ${ op } ${ name }.set(${ ref }, ${ right }))`;
+
+      return `${ name }.set(${ object }, ${ name }.get(${ ref }) ${ op } (${ right }))`;
+    }
+
+    switch (node.operator) {
+      case '**=':
+      case '&&=':
+      case '||=':
+      case '??=':
+        return this.compoundAssignment(node, left);
+    }
+
     if (!this.isPattern(left))
       return;
 
@@ -867,6 +2384,66 @@ class Replacer {
     return '(' + list.join(', ') + ')';
   }
 
+  compoundAssignment(node, left) {
+    let [setup, ref] = this.assignmentReference(left);
+    let op = node.operator.slice(0, -1);
+    let right = node.right.text;
+    let text;
+
+    switch (op) {
+      case '**':
+        text = `${ ref } = Math.pow(${ ref }, ${ right })`;
+        break;
+
+      case '??': {
+        let value = this.addTempVar(node);
+        text = `(${ value } = ${ ref }) != null ? ${ value } : (${ ref } = ${ right })`;
+        break;
+      }
+
+      default:
+        text = `${ ref } ${ op } (${ ref } = ${ right })`;
+        break;
+    }
+
+    return '(' + setup.concat(text).join(', ') + ')';
+  }
+
+  // Returns a list of temp assignments which evaluate the object and property
+  // of an assignment target, and a reference which reuses those temps
+  assignmentReference(node) {
+    if (node.type !== 'MemberExpression' || node.isSuperLookup)
+      return [[], node.text];
+
+    let setup = [];
+    let object = node.object.text;
+    let prop = node.property.text;
+
+    if (node.object.type !== 'ThisExpression') {
+      let temp = this.addTempVar(node);
+      setup.push(`${ temp } = ${ object }`);
+      object = temp;
+    }
+
+    if (!node.computed)
+      return [setup, `${ object }.${ prop }`];
+
+    switch (node.property.type) {
+      case 'StringLiteral':
+      case 'NumberLiteral':
+        break;
+
+      default: {
+        let temp = this.addTempVar(node);
+        setup.push(`${ temp } = ${ prop }`);
+        prop = temp;
+        break;
+      }
+    }
+
+    return [setup, `${ object }[${ prop }]`];
+  }
+
   isPattern(node) {
     switch (node.type) {
       case 'ArrayPattern':
@@ -902,7 +2479,7 @@ class Replacer {
         if (last < i - 1)
           list.push({ type: 's', args: this.joinList(elems.slice(last + 1, i)) });
 
-        list.push({ type: 'i', args: elems[i].expression.text });
+        list.push({ type: this.options.spec ? 'I' : 'i', args: elems[i].expression.text });
 
         last = i;
       }
@@ -934,8 +2511,10 @@ class Replacer {
     let outer = [];
     let inner = [];
     let targets = [];
+    let iterators = [];
 
     node.patternTargets = targets;
+    node.iteratorTemps = iterators;
 
     this.markRuntime('destructuring');
 
@@ -951,6 +2530,10 @@ class Replacer {
         tree.name ? base + propGet(tree.name) :
         base;
 
+      // Object rest elements copy the properties which were not destructured
+      if (tree.excluded)
+        access = `_esdown.objRest(${ base }, [${ tree.excluded.join(', ') }])`;
+
       if (tree.initializer) {
         temp = this.addTempVar(node);
         inner.push(`${ temp } = ${ access }`);
@@ -982,6 +2565,19 @@ class Replacer {
         base = temp;
 
       tree.children.forEach(c => visit(c, base));
+
+      // In spec mode, iterators which are not exhausted by a rest element
+      // are closed after the last element has been assigned
+      if (tree.array && this.options.spec && !tree.children.some(c => c.rest)) {
+        iterators.push(base);
+        inner.push(`${ base }.close()`);
+
+        outer.push(inner.length === 1 ?
+          `${ base } = ${ inner[0] }` :
+          `${ base } = (${ inner.join(', ') })`);
+
+        inner.length = 0;
+      }
     };
 
     visit(this.createPatternTree(node), base);
@@ -1019,27 +2615,59 @@ class Replacer {
         });
         break;
 
-      case 'ObjectPattern':
+      case 'ObjectPattern': {
+        let hasRest = ast.properties.some(p => p.type === 'PatternRestElement');
+        let excluded = [];
+
         ast.properties.forEach(p => {
+          if (p.type === 'PatternRestElement') {
+            child = new PatternTreeNode('', '');
+            child.rest = true;
+            child.excluded = excluded;
+            parent.children.push(child);
+            this.createPatternTree(p.pattern, child);
+            return;
+          }
+
           let node = p.name;
           let name;
 
           switch (node.type) {
-            case 'Identifier': name = node.value; break;
-            case 'ComputedPropertyName': name = this.stringify(node); break;
-            default: name = node.text; break;
+            case 'Identifier':
+              name = node.value;
+
+              if (name.search(ASTRAL_CHAR) >= 0) {
+                name = quotedName(name);
+                excluded.push(name);
+              } else {
+                excluded.push(`'${ name }'`);
+              }
+              break;
+
+            case 'ComputedPropertyName':
+              name = this.stringify(node);
+
+              // Computed keys are saved so that they can be excluded from the rest object
+              if (hasRest) {
+                let temp = this.addTempVar(ast);
+                name = `[${ temp } = ${ node.expression.text }]`;
+                excluded.push(temp);
+              }
+              break;
+
+            default:
+              name = node.text;
+              excluded.push(name);
+              break;
           }
 
           init = p.initializer ? p.initializer.text : '';
           child = new PatternTreeNode(name, init);
-
-          if (p.type === 'PatternRestElement')
-            child.rest = true;
-
           parent.children.push(child);
           this.createPatternTree(p.pattern || p.name, child);
         });
         break;
+      }
 
       default:
         parent.target = ast.text;
@@ -1065,6 +2693,10 @@ class Replacer {
     if (body === undefined)
       body = node.body.text;
 
+    // The state machine body includes the async driver
+    if (node.stateMachine)
+      return `${ head }(${ this.joinList(node.params) }) ${ body }`;
+
     this.markRuntime('async');
 
     return `${ head }(${ outerParams }) { ` +
@@ -1072,11 +2704,25 @@ class Replacer {
       `${ body }.apply(this, arguments)); }`;
   }
 
+  classDefinition(node) {
+    this.markRuntime('classes');
+
+    return '_esdown.class(' +
+      (node.base ? node.base.text + ', ' : '') +
+      'function(__' +
+        (node.hasStatic || node.base ? ', __static' : '') +
+        (node.base ? ', __super, __base' : '') +
+      ') {' +
+      this.strictDirective() +
+      this.removeBraces(node.body.text) + ' })';
+  }
+
   markRuntime(name) {
     this.runtime[name] = true;
   }
 
   rawToString(raw) {
+    raw = normalizeEscapes(raw);
     raw = raw.replace(/([^\n])?\n/g, (m, m1) => m1 === '\\' ? m : (m1 || '') + '\\n\\\n');
     raw = raw.replace(/([^'])?'/g, (m, m1) => m1 === '\\' ? m : (m1 || '') + "\\'");
     return "'" + raw + "'";
@@ -1104,12 +2750,316 @@ class Replacer {
     return null;
   }
 
-  renameLexicalVar(node, name) {
+  isDerivedConstructor(node) {
+    return Boolean(
+      node &&
+      node.type === 'MethodDefinition' &&
+      node.kind === 'constructor' &&
+      node.parent.parent.base
+    );
+  }
+
+  // Returns the nearest function, class field initializer, or static
+  // block which provides bindings for "this" and "arguments"
+  lexicalParent(node) {
+    for (let p = node.parent, child = node; p; child = p, p = p.parent) {
+      if (p.type === 'ClassField' && p.initializer === child)
+        return p;
+
+      if (p.type === 'StaticBlock')
+        return p;
+
+      if (this.isVarScope(p))
+        return p;
+    }
+
+    return null;
+  }
+
+  // Returns true if instances of the class must be initialized with fields
+  // or private methods
+  hasInstanceInit(classNode) {
+    return classNode.body.elements.some(e => !e.static && (
+      e.type === 'ClassField' ||
+      e.type === 'MethodDefinition' && e.name.type === 'PrivateName'
+    ));
+  }
+
+  isPrivateMember(node) {
+    return node.type === 'MemberExpression' && node.property.type === 'PrivateName';
+  }
+
+  privateVar(name) {
+    return '__$' + name.value;
+  }
+
+  // Returns the object expression of a private member, along with a
+  // reference which can be used to evaluate the object a second time
+  privateObject(member) {
+    let text = member.object.text;
+
+    if (member.object.type === 'ThisExpression')
+      return [text, text];
+
+    let temp = this.addTempVar(member);
+    return [`${ temp } = ${ text }`, temp];
+  }
+
+  inStateMachine(node) {
+    let fn = this.parentFunction(node);
+    return Boolean(fn && fn.stateMachine);
+  }
+
+  jumpTarget(node, kind, label = node.label ? node.label.value : '') {
+    for (let p = node.parent; p && !this.isVarScope(p); p = p.parent) {
+      switch (p.type) {
+        case 'LabelledStatement':
+          if (p.label.value !== label)
+            break;
+
+          if (kind === 'break')
+            return p;
+
+          p = p.statement;
+          while (p.type === 'LabelledStatement')
+            p = p.statement;
+
+          return p;
+
+        case 'SwitchStatement':
+          if (!label && kind === 'break')
+            return p;
+          break;
+
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+        case 'WhileStatement':
+        case 'DoWhileStatement':
+          if (!label)
+            return p;
+          break;
+      }
+    }
+
+    return null;
+  }
+
+  jumpStatement(node, kind, label = node.label ? node.label.value : '') {
+    let target = this.jumpTarget(node, kind, label);
+    let loop = this.iterationFunction(node, target);
+
+    // Jumps out of per-iteration loop functions are returned as completion
+    // values and performed by the loop
+    if (loop) {
+      if (kind === 'continue' && target === loop)
+        return this.iterationExit(loop, '');
+
+      let signal = label ? kind + ':' + label : kind;
+
+      if (!loop.iterationJumps)
+        loop.iterationJumps = {};
+
+      loop.iterationJumps[signal] = { kind, label };
+      return this.iterationExit(loop, `'${ signal }'`);
+    }
+
+    if (!this.inStateMachine(node))
+      return;
+
+    // Jumps into exploded code are resolved through a table of
+    // locations, since the locations are not known yet
+
+    if (!target || !target.hasYield)
+      return;
+
     let fn = this.parentFunction(node);
+
+    if (!fn.jumpTable)
+      fn.jumpTable = [];
+
+    fn.jumpTable.push({ node: target, kind });
+
+    return `return __g.abrupt('${ kind }', __g.l[${ fn.jumpTable.length - 1 }]);`;
+  }
+
+  // Returns the nearest loop between the node and the stop node whose body
+  // is evaluated within a per-iteration function
+  iterationFunction(node, stop) {
+    for (let p = node.parent, child = node; p && !this.isVarScope(p); child = p, p = p.parent) {
+      if (p.iterationBindings && child === p.body)
+        return p;
+
+      if (p === stop)
+        break;
+    }
+
+    return null;
+  }
+
+  // Returns a statement which exits a per-iteration loop function, after
+  // copying loop variables back into the loop
+  iterationExit(loop, value) {
+    let copy = this.iterationCopy(loop);
+    let ret = 'return' + (value ? ' ' + value : '') + ';';
+    return copy ? `{ ${ copy } ${ ret } }` : ret;
+  }
+
+  iterationCopy(loop) {
+    let list = loop.iterationBindings.filter(b => b.write);
+
+    if (list.length === 0)
+      return '';
+
+    return list.map(b => `${ b.outer } = ${ b.inner };`).join(' ');
+  }
+
+  // Returns the variable which holds the binding record of a loop
+  recordVar(loop) {
+    if (!loop.recordVar)
+      loop.recordVar = this.addTempVar(loop);
+
+    return loop.recordVar;
+  }
+
+  // Returns an expression which replaces the binding record of a loop,
+  // copying the bindings which are declared in the loop head
+  nextRecord(loop) {
+    let record = this.recordVar(loop);
+    let props = loop.recordNames.map(name => `${ name }: ${ record }.${ name }`);
+
+    return `${ record } = ${ props.length > 0 ? `{ ${ props.join(', ') } }` : '{}' }`;
+  }
+
+  // Closures which capture bindings stored in loop records are given the
+  // current record of each loop
+  captureRecords(node, text) {
+    let records = node.recordLoops.map(loop => this.recordVar(loop)).join(', ');
+    return `(function(${ records }) { return ${ text }; })(${ records })`;
+  }
+
+  prefixBody(node, text) {
+    let body = node.body.text;
+
+    if (node.body.type === 'Block')
+      body = this.removeBraces(body);
+
+    node.body.text = `{ ${ text } ${ body } }`;
+  }
+
+  wrapIterationBody(node) {
+    if (!node.iterationBindings)
+      return;
+
+    let bindings = node.iterationBindings;
+    let body = node.body.text;
+
+    if (node.body.type === 'Block')
+      body = this.removeBraces(body);
+
+    let copy = this.iterationCopy(node);
+
+    if (copy)
+      body += ' ' + copy + ' ';
+
+    let params = bindings.map(b => b.inner);
+    let args = [this.renameLexicalVar(node, 'this')].concat(bindings.map(b => b.outer));
+    let call = `(function(${ params.join(', ') }) {${ body }}).call(${ args.join(', ') })`;
+
+    let text = '';
+
+    // Variables declared within the loop function are hoisted into the
+    // enclosing function
+    if (!this.iterationFunction(node, null)) {
+      let names = this.varNames(node.body);
+
+      if (names.length > 0)
+        text += 'var ' + names.join(', ') + '; ';
+    }
+
+    let jumps = node.iterationJumps || {};
+    let signals = Object.keys(jumps);
+
+    if (signals.length === 0 && !node.iterationReturn) {
+      text += call + ';';
+    } else {
+      let result = this.addTempVar(node);
+      text += `${ result } = ${ call };`;
+
+      signals.forEach(signal => {
+        let { kind, label } = jumps[signal];
+        let jump = kind + (label ? ' ' + label : '') + ';';
+
+        // Labelled jumps may also cross an enclosing loop function
+        if (label)
+          jump = this.jumpStatement(node, kind, label) || jump;
+
+        text += ` if (${ result } === '${ signal }') ${ jump }`;
+      });
+
+      if (node.iterationReturn)
+        text += ` if (typeof ${ result } === 'object') ${ this.returnValue(node, result) }`;
+    }
+
+    node.body.text = '{ ' + text + ' }';
+  }
+
+  // Returns a statement which returns the completion value of a per-iteration
+  // loop function from the enclosing function
+  returnValue(node, result) {
+    let loop = this.iterationFunction(node, null);
+
+    if (loop) {
+      loop.iterationReturn = true;
+      return this.iterationExit(loop, result);
+    }
+
+    if (this.inStateMachine(node))
+      return `return __g.abrupt('return', ${ result }.v);`;
+
+    return `return ${ result }.v;`;
+  }
+
+  // Returns true if the declaration is a "var" declaration within a
+  // per-iteration loop function
+  isHoistedVar(node) {
+    return node.kind === 'var' && Boolean(this.iterationFunction(node, null));
+  }
+
+  // Returns the names declared with "var" within a node, excluding nested
+  // functions
+  varNames(node) {
+    let names = [];
+
+    let visit = (node, declaration) => {
+      if (isFunctionNode(node))
+        return;
+
+      if (node.type === 'VariableDeclaration')
+        declaration = node.kind === 'var';
+
+      if (declaration && node.type === 'Identifier' && node.context === 'declaration')
+        names.push(node.value);
+
+      if (node.type === 'VariableDeclarator') {
+        visit(node.pattern, declaration);
+        if (node.initializer) visit(node.initializer, false);
+        return;
+      }
+
+      node.children().forEach(child => visit(child, declaration));
+    };
+
+    visit(node, false);
+    return names;
+  }
+
+  renameLexicalVar(node, name) {
+    let fn = this.lexicalParent(node);
     let varName = name;
 
     if (fn.type === 'ArrowFunction') {
-      while (fn = this.parentFunction(fn)) {
+      while (fn = this.lexicalParent(fn)) {
         if (fn.type !== 'ArrowFunction') {
           if (!fn.lexicalVars)
             fn.lexicalVars = {};
@@ -1118,6 +3068,20 @@ class Replacer {
           break;
         }
       }
+    } else if (name === 'arguments' && (fn.stateMachine || this.iterationFunction(node, fn))) {
+      // State machine bodies and per-iteration loop bodies are executed
+      // within a nested function
+      if (!fn.lexicalVars)
+        fn.lexicalVars = {};
+
+      fn.lexicalVars[name] = varName = '__' + name;
+    } else if (name === 'this' && this.isDerivedConstructor(fn)) {
+      // Within derived constructors, "this" is replaced by the object
+      // created by the super call
+      if (!fn.lexicalVars)
+        fn.lexicalVars = {};
+
+      fn.lexicalVars[name] = varName = '__' + name;
     }
 
     return varName;
@@ -1149,6 +3113,117 @@ class Replacer {
     return this.moduleNames[url];
   }
 
+  importMeta() {
+    // The meta object is created once for each module
+    if (!this.importMetaVar) {
+      let value = this.options.importMeta();
+
+      if (!value) {
+        this.markRuntime('meta');
+        // __filename and require are not defined outside of CommonJS
+        value = '_esdown.importMeta(' +
+          "typeof __filename === 'string' && __filename, " +
+          "typeof require === 'function' && require)";
+      }
+
+      this.importMetaVar = this.addTempVar(this.root, value);
+    }
+
+    return this.importMetaVar;
+  }
+
+  isMetaResolve(node) {
+    return (
+      node.type === 'MemberExpression' &&
+      !node.computed &&
+      node.object.type === 'MetaProperty' &&
+      node.object.left === 'import' &&
+      node.property.value === 'resolve'
+    );
+  }
+
+  rewrite(node) {
+    let text = this[node.type] ? this[node.type](node) : null;
+
+    if (text === null || text === undefined)
+      text = this.stringify(node);
+
+    return node.text = text;
+  }
+
+  // Records a list of [generated offset, original offset] pairs for a node's
+  // text.  Text built by stringify is mapped exactly.  Within text returned by
+  // a replacer, only the text of child nodes is mapped.
+  mapText(node, replaced) {
+    let input = this.input;
+    let text = node.text;
+    let mappings = [[0, node.start]];
+
+    let addChild = (child, offset) => {
+      let list = child.mappings || [[0, child.start]];
+
+      // The child's text may have been changed by a parent replacer
+      if (child.text !== child.mappedText) {
+        let index = child.mappedText ? child.text.indexOf(child.mappedText) : -1;
+        list = index >= 0 ? shiftMappings(list, 0, index) : [[0, child.start]];
+      }
+
+      list.forEach(m => mappings.push([m[0] + offset, m[1]]));
+    };
+
+    let addSlice = (offset, start, end) => {
+      let pattern = /\r\n?|\n/g;
+      let slice = input.slice(start, end);
+      let match;
+
+      mappings.push([offset, start]);
+
+      // Each line is mapped separately
+      while (match = pattern.exec(slice)) {
+        let next = match.index + match[0].length;
+        mappings.push([offset + next, start + next]);
+      }
+    };
+
+    if (replaced) {
+      let offset = 0;
+
+      // Descendants are searched when the text of a child is not found
+      let find = child => {
+        let index = child.text ? text.indexOf(child.text, offset) : -1;
+
+        if (index >= 0) {
+          addChild(child, index);
+          offset = index + child.text.length;
+        } else {
+          child.children().forEach(find);
+        }
+      };
+
+      node.children().forEach(find);
+    } else {
+      let pos = node.start;
+      let offset = 0;
+
+      node.children().forEach(child => {
+        if (pos < child.start) {
+          addSlice(offset, pos, child.start);
+          offset += child.start - pos;
+        }
+
+        addChild(child, offset);
+        offset += child.text.length;
+        pos = child.end;
+      });
+
+      if (pos < node.end)
+        addSlice(offset, pos, node.end);
+    }
+
+    node.mappedText = text;
+    node.mappings = mappings;
+  }
+
   stringify(node) {
     let offset = node.start;
     let input = this.input;
@@ -1188,6 +3263,9 @@ class Replacer {
     if (node.lexicalVars)
       inserted.push(this.lexicalVarNames(node));
 
+    if (node.body.tdzNames)
+      inserted.push(this.tdzReset(node.body) + ';');
+
     if (node.createRestBinding)
       inserted.push(this.restParamVar(node));
 
@@ -1201,7 +3279,9 @@ class Replacer {
         inserted.push(`if (${ name } === void 0) ${ name } = ${ param.initializer.text };`);
 
       if (this.isPattern(param.pattern))
-        inserted.push('var ' + this.translatePattern(param.pattern, name).join(', ') + ';');
+        inserted.push(this.iteratorGuard(
+          'var ' + this.translatePattern(param.pattern, name).join(', ') + ';',
+          param.pattern));
     });
 
     let temps = this.tempVars(node);
@@ -1241,6 +3321,16 @@ class Replacer {
     }).join(', ') + ';';
   }
 
+  // Returns an expression which resets block-scoped bindings to an
+  // uninitialized state
+  tdzReset(node) {
+    this.markRuntime('tdz');
+
+    return node.tdzNames
+      .map(name => name + ' = _esdown.tdz')
+      .join(', ');
+  }
+
   strictDirective() {
     return this.isStrict ? '' : " 'use strict';";
   }
@@ -18,6 +18,14 @@ function forEachDesc(obj, fn) {
 function mergeProp(target, name, desc, enumerable) {
   if (desc.get || desc.set) {
     var d$0 = { configurable: true };
+    var prev$0 = getDesc(target, name);
+
+    // Getters and setters which are defined separately share a descriptor
+    if (prev$0 && (prev$0.get || prev$0.set)) {
+      d$0.get = prev$0.get;
+      d$0.set = prev$0.set;
+    }
+
     if (desc.get) d$0.get = desc.get;
     if (desc.set) d$0.set = desc.set;
     desc = d$0;
@@ -42,10 +50,10 @@ exports.class = function makeClass(base, def) {
   var proto = Object.create(base && base.prototype);
   var statics = {};
 
-  def(
+  var initStatics = def(
     function(obj) { return mergeProps(proto, obj, false); },
     function(obj) { return mergeProps(statics, obj, false); },
-    proto,
+    base && base.prototype,
     base
   );
 
@@ -56,9 +64,32 @@ exports.class = function makeClass(base, def) {
     Object.setPrototypeOf ? Object.setPrototypeOf(ctor, base) : ctor.__proto__ = base;
   }
 
+  // Static fields are initialized with the constructor as "this"
+  if (initStatics)
+    initStatics.call(ctor);
+
   return ctor;
 };
 
+function isNativeConstructor(fn) {
+  var source = Function.prototype.toString.call(fn);
+  return /^class[ {]/.test(source) || source.indexOf('[native code]') > 0;
+}
+
+// Initializes the object for a derived constructor by calling the base
+// constructor, and returns the object which the constructor should use
+exports.construct = function construct(base, args, self) {
+  var native = isNativeConstructor(base);
+
+  // Native classes and builtins cannot initialize an existing object,
+  // so a new object is created with the correct prototype
+  if (native && typeof Reflect === 'object' && Reflect.construct)
+    return Reflect.construct(base, args, Object.getPrototypeOf(self).constructor);
+
+  var result = base.apply(self, args);
+  return Object(result) === result && !native ? result : self;
+};
+
 //// spread
 
 exports.spread = function spread(initial) {
@@ -78,10 +109,15 @@ exports.spread = function spread(initial) {
       }
       return this;
     },
+    I: function(list) {
+      for (var __$0 = (list)[Symbol.iterator](), __$1; __$1 = __$0.next(), !__$1.done;)
+        { var item$1 = __$1.value; this.a.push(item$1); }
+      return this;
+    },
   };
 };
 
-//// destructuring
+//// destructuring,iterators
 
 function toObject(val) {
   if (val == null) // null or undefined
@@ -90,46 +126,320 @@ function toObject(val) {
   return Object(val);
 }
 
+function iterResult(result) {
+  if (Object(result) !== result)
+    throw new TypeError('Iterator result ' + result + ' is not an object');
+
+  return result;
+}
+
+// Steps through an iterator, remembering whether it must be closed when
+// iteration stops early
+function iterCursor(obj) {
+  var iter = toObject(obj)[Symbol.iterator]();
+
+  return {
+    done: false,
+    value: undefined,
+    next: function() {
+      if (this.done)
+        return false;
+
+      // Iterators which throw from next are not closed
+      this.done = true;
+
+      var result = iterResult(iter.next());
+
+      if (result.done)
+        return false;
+
+      this.done = false;
+      this.value = result.value;
+      return true;
+    },
+    close: function() {
+      if (this.done)
+        return;
+
+      this.done = true;
+
+      var fn = iter.return;
+
+      if (fn != null)
+        iterResult(fn.call(iter));
+    },
+    abort: function(error) {
+      if (!this.done) {
+        this.done = true;
+
+        // Errors from closing are ignored when iteration ends with an error
+        try {
+          var fn$0 = iter.return;
+
+          if (fn$0 != null)
+            fn$0.call(iter);
+        } catch (x) {}
+      }
+
+      return error;
+    },
+  };
+}
+
+//// destructuring
+
 exports.objd = function objd(obj) {
   return toObject(obj);
 };
 
+// Copies the own enumerable properties of an object, except for the
+// excluded keys, into a new object
+exports.objRest = function objRest(obj, excluded) {
+  var rest = {};
+  var keys = Object.getOwnPropertyNames(obj);
+
+  if (Object.getOwnPropertySymbols)
+    keys = keys.concat(Object.getOwnPropertySymbols(obj));
+
+  excluded = excluded.map(function(key) { return typeof key === 'symbol' ? key : String(key); });
+
+  keys.forEach(function(key) {
+    var desc = Object.getOwnPropertyDescriptor(obj, key);
+
+    if (!desc || !desc.enumerable || excluded.indexOf(key) >= 0)
+      return;
+
+    Object.defineProperty(rest, key, {
+      value: obj[key],
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  });
+
+  return rest;
+};
+
 exports.arrayd = function arrayd(obj) {
   if (Array.isArray(obj)) {
     return {
       at: function(skip, pos) { return obj[pos]; },
       rest: function(skip, pos) { return obj.slice(pos); },
+      close: function() {},
+      abort: function(error) { return error; },
     };
   }
 
-  var iter = toObject(obj)[Symbol.iterator]();
+  var cursor = iterCursor(obj);
 
   return {
     at: function(skip) {
-      var r;
-      while (skip--) r = iter.next();
-      return r.value;
+      var value;
+      while (skip--) value = cursor.next() ? cursor.value : undefined;
+      return value;
     },
     rest: function(skip) {
       var a = [];
-      var r;
-      while (--skip) r = iter.next();
-      while (r = iter.next(), !r.done) a.push(r.value);
+      while (--skip) cursor.next();
+      while (cursor.next()) a.push(cursor.value);
       return a;
     },
+    close: function() {
+      cursor.close();
+    },
+    abort: function(error) {
+      return cursor.abort(error);
+    },
   };
 };
 
+//// iterators
+
+exports.iter = function iter(obj) {
+  return iterCursor(obj);
+};
+
+exports.iterClose = function iterClose(cursor) {
+  return cursor ? cursor.close() : undefined;
+};
+
+exports.iterAbort = function iterAbort(cursor, error) {
+  return cursor ? cursor.abort(error) : error;
+};
+
+//// import
+
+// Loads a module for an import() expression, returning a promise for the
+// module namespace.  Modules which contain top-level await are imported when
+// they are ready.
+exports.dynamicImport = function dynamicImport(specifier, load) {
+  var loaded = new Promise(function(resolve) { return resolve(load(String(specifier))); });
+
+  return loaded.then(function(ns) {
+    if (ns && ns.__ready)
+      return ns.__ready.then(function() { return ns; });
+
+    return ns;
+  });
+};
+
+//// meta
+
+// Creates the import.meta object for a module.  Outside of CommonJS the
+// module is located by the script which is being evaluated.
+exports.importMeta = function importMeta(filename, req) {
+  if (!filename || !req) {
+    var url$0 = typeof document !== 'undefined' && document.currentScript ?
+      document.currentScript.src :
+      typeof location !== 'undefined' ? location.href : '';
+
+    return {
+      url: url$0,
+      resolve: function(specifier) { return new URL(specifier, url$0).href; },
+    };
+  }
+
+  var toURL = function(path) { return req('url').pathToFileURL(path).href; };
+  var Path = req('path');
+
+  return {
+    url: toURL(filename),
+    filename: filename,
+    dirname: Path.dirname(filename),
+    resolve: function(specifier) {
+      var path = req.resolve(specifier);
+      // Builtin modules do not resolve to a file
+      return Path.isAbsolute(path) ? toURL(path) : 'node:' + path.replace(/^node:/, '');
+    },
+  };
+};
+
+//// exports
+
+// Exports the names of another module, other than "default", which are not
+// already exported
+exports.exportAll = function exportAll(target, source) {
+  Object.keys(source).forEach(function(name) {
+    if (name === 'default' || Object.prototype.hasOwnProperty.call(target, name))
+      return;
+
+    Object.defineProperty(target, name, {
+      enumerable: true,
+      get: function() { return source[name]; },
+    });
+  });
+};
+
+//// regexp
+
+// Attaches the names of capture groups to match results, for regular
+// expressions whose named groups were translated to numbered groups
+exports.namedRegExp = function namedRegExp(re, names) {
+  var exec = re.exec;
+  var replace = typeof Symbol === 'function' && Symbol.replace ? re[Symbol.replace] : null;
+
+  function groups(match) {
+    var result = Object.create(null);
+    Object.keys(names).forEach(function(name) { return result[name] = match[names[name]]; });
+    return result;
+  }
+
+  Object.defineProperty(re, 'exec', {
+    configurable: true,
+    writable: true,
+    value: function(str) {
+      var match = exec.call(this, str);
+
+      if (match)
+        match.groups = groups(match);
+
+      return match;
+    },
+  });
+
+  if (!replace)
+    return re;
+
+  Object.defineProperty(re, Symbol.replace, {
+    configurable: true,
+    writable: true,
+    value: function(str, replacement) {
+      if (typeof replacement === 'function') {
+        var fn$1 = replacement;
+
+        replacement = function() {
+          var args = [].slice.call(arguments);
+
+          // Engines which support named groups pass the groups object
+          if (typeof args[args.length - 1] !== 'object')
+            args.push(groups(args));
+
+          return fn$1.apply(this, args);
+        };
+      } else {
+        replacement = String(replacement).replace(/[$]([$]|<([^>]*)>)/g, function(m, token, name) {
+          if (token === '$')
+            return m;
+
+          if (!Object.prototype.hasOwnProperty.call(names, name))
+            return '';
+
+          // Two-digit references are not combined with any following digits
+          var index = names[name];
+          return (index < 10 ? '$0' : '$') + index;
+        });
+      }
+
+      return replace.call(this, str, replacement);
+    },
+  });
+
+  // Built-in methods which copy the expression use its species constructor,
+  // so that the copy also attaches group names
+  var species = {};
+
+  species[Symbol.species] = function(source, flags) {
+    return namedRegExp(new RegExp(source, flags), names);
+  };
+
+  [Symbol.matchAll, Symbol.split].forEach(function(key) {
+    var method = key && re[key];
+
+    if (!method)
+      return;
+
+    Object.defineProperty(re, key, {
+      configurable: true,
+      writable: true,
+      value: function() {
+        Object.defineProperty(this, 'constructor', { configurable: true, value: species });
+
+        try {
+          return method.apply(this, arguments);
+        } finally {
+          delete this.constructor;
+        }
+      },
+    });
+  });
+
+  return re;
+};
+
 //// computed
 
 exports.obj = function obj(target) {
   return {
     obj: target,
+    // Properties containing methods which use super are created by a
+    // function, which refers to the object through the builder
     p: function(props) {
+      if (typeof props === 'function') props = props(this);
       mergeProps(target, props, true);
       return this;
     },
     c: function(name, props) {
+      if (typeof props === 'function') props = props(this);
       var desc = getDesc(props, '_');
       mergeProp(target, name, getDesc(props, '_'), true);
       return this;
@@ -145,9 +455,392 @@ exports.obj = function obj(target) {
       }
       return this;
     },
+    proto: function(props) {
+      var value = props._;
+      if (value === null || typeof value === 'object' || typeof value === 'function') {
+        var created$0 = Object.create(value);
+        mergeProps(created$0, target, true);
+        target = this.obj = created$0;
+      }
+      return this;
+    },
+    S: function(props) {
+      var source = props._;
+      if (source == null)
+        return this;
+      source = Object(source);
+      forEachDesc(source, function(name, desc) {
+        desc && desc.enumerable && defineProp(target, name, {
+          enumerable: true,
+          configurable: true,
+          writable: true,
+          value: source[name],
+        });
+      });
+      return this;
+    },
   };
 };
 
+//// private
+
+function brandCheck(store, obj, name, read) {
+  if (!store.has(obj)) {
+    throw new TypeError(read ?
+      'Cannot read private member ' + (name) + ' from an object whose class did not declare it' :
+      'Cannot write private member ' + (name) + ' to an object whose class did not declare it');
+  }
+}
+
+function brandInit(store, obj, name) {
+  if (store.has(obj))
+    throw new TypeError('Cannot initialize ' + (name) + ' twice on the same object');
+}
+
+function hasBrand(store, obj, name) {
+  if (Object(obj) !== obj)
+    throw new TypeError('Cannot use "in" operator to search for "' + (name) + '" in ' + (obj) + '');
+
+  return store.has(obj);
+}
+
+exports.pfield = function privateField(name) {
+  var store = new WeakMap();
+
+  return {
+    has: function(obj) { return hasBrand(store, obj, name); },
+
+    init: function(obj, value) {
+      brandInit(store, obj, name);
+      store.set(obj, value);
+    },
+
+    get: function(obj) {
+      brandCheck(store, obj, name, true);
+      return store.get(obj);
+    },
+
+    set: function(obj, value) {
+      brandCheck(store, obj, name, false);
+      store.set(obj, value);
+      return value;
+    },
+  };
+};
+
+exports.pmethod = function privateMethod(name, method) {
+  var store = new WeakSet();
+
+  return {
+    has: function(obj) { return hasBrand(store, obj, name); },
+
+    init: function(obj) {
+      brandInit(store, obj, name);
+      store.add(obj);
+    },
+
+    get: function(obj) {
+      brandCheck(store, obj, name, true);
+      return method;
+    },
+
+    set: function(obj) {
+      brandCheck(store, obj, name, false);
+      throw new TypeError('Private method ' + (name) + ' is not writable');
+    },
+  };
+};
+
+exports.paccessor = function privateAccessor(name, getter, setter) {
+  var store = new WeakSet();
+
+  return {
+    has: function(obj) { return hasBrand(store, obj, name); },
+
+    init: function(obj) {
+      brandInit(store, obj, name);
+      store.add(obj);
+    },
+
+    get: function(obj) {
+      brandCheck(store, obj, name, true);
+
+      if (!getter)
+        throw new TypeError('' + (name) + ' was defined without a getter');
+
+      return getter.call(obj);
+    },
+
+    set: function(obj, value) {
+      brandCheck(store, obj, name, false);
+
+      if (!setter)
+        throw new TypeError('' + (name) + ' was defined without a setter');
+
+      setter.call(obj, value);
+      return value;
+    },
+  };
+};
+
+//// tdz
+
+// Block-scoped bindings hold this value until they are initialized
+var UNINITIALIZED = {};
+
+exports.tdz = UNINITIALIZED;
+
+exports.tdzCheck = function tdzCheck(value, name) {
+  if (value === UNINITIALIZED)
+    throw new ReferenceError("Cannot access '" + name + "' before initialization");
+
+  return value;
+};
+
+//// generators
+
+var CONTINUE = {};
+
+function normalCompletion() {
+  return { type: 'normal', arg: undefined };
+}
+
+exports.gen = function gen(fn, self, tryLocs, jumps) {
+  var START = 0;
+  var SUSPENDED = 1;
+  var RUNNING = 2;
+  var DONE = 3;
+
+  var state = START;
+
+  // The root entry handles completions which are not caught within the function
+  var entries = [{ root: true, completion: normalCompletion() }];
+
+  (tryLocs || []).forEach(function(locs) { return entries.push({
+    tryLoc: locs[0],
+    catchLoc: locs[1],
+    finallyLoc: locs[2],
+    afterLoc: locs[3],
+    completion: normalCompletion(),
+  }); });
+
+  var ctx = {
+    n: 0,
+    p: 0,
+    l: jumps,
+    sent: undefined,
+    done: false,
+    method: 'next',
+    arg: undefined,
+    rval: undefined,
+    inner: null,
+
+    stop: function() {
+      ctx.done = true;
+      var root = entries[0].completion;
+      if (root.type === 'throw') throw root.arg;
+      return ctx.rval;
+    },
+
+    abrupt: function(type, arg) {
+      var entry = null;
+
+      for (var i$1 = entries.length - 1; i$1 > 0; --i$1) {
+        var e$0 = entries[i$1];
+        if (e$0.finallyLoc !== undefined && e$0.tryLoc <= ctx.p && ctx.p < e$0.finallyLoc) {
+          entry = e$0;
+          break;
+        }
+      }
+
+      // Jumps which do not leave the try statement do not run the finalizer
+      if (entry && type !== 'return' && entry.tryLoc <= arg && arg <= entry.finallyLoc)
+        entry = null;
+
+      if (entry) {
+        entry.completion = { type: type, arg: arg };
+        ctx.n = entry.finallyLoc;
+      } else if (type === 'return') {
+        ctx.rval = arg;
+        ctx.n = 'end';
+      } else {
+        ctx.n = arg;
+      }
+
+      return CONTINUE;
+    },
+
+    finish: function(finallyLoc) {
+      for (var i$2 = entries.length - 1; i$2 > 0; --i$2) {
+        var entry$0 = entries[i$2];
+        if (entry$0.finallyLoc === finallyLoc) {
+          var record$0 = entry$0.completion;
+          entry$0.completion = normalCompletion();
+
+          if (record$0.type === 'throw')
+            throw record$0.arg;
+
+          if (record$0.type === 'normal') {
+            ctx.n = entry$0.afterLoc;
+            return CONTINUE;
+          }
+
+          // Continue the completion through any outer finalizers
+          return ctx.abrupt(record$0.type, record$0.arg);
+        }
+      }
+    },
+
+    caught: function(tryLoc) {
+      for (var i$3 = entries.length - 1; i$3 > 0; --i$3) {
+        var entry$1 = entries[i$3];
+        if (entry$1.tryLoc === tryLoc) {
+          var record$1 = entry$1.completion;
+          entry$1.completion = normalCompletion();
+          return record$1.arg;
+        }
+      }
+    },
+
+    delegate: function(iterable) {
+      ctx.inner = iterable[Symbol.iterator]();
+      ctx.arg = undefined;
+      return CONTINUE;
+    },
+  };
+
+  function dispatch(x) {
+    for (var i$4 = entries.length - 1; i$4 >= 0; --i$4) {
+      var entry$2 = entries[i$4];
+      var loc$0;
+
+      if (entry$2.root) {
+        loc$0 = 'end';
+      } else if (entry$2.tryLoc <= ctx.p) {
+        if (entry$2.catchLoc !== undefined && ctx.p < entry$2.catchLoc)
+          loc$0 = entry$2.catchLoc;
+        else if (entry$2.finallyLoc !== undefined && ctx.p < entry$2.finallyLoc)
+          loc$0 = entry$2.finallyLoc;
+      }
+
+      if (loc$0 !== undefined) {
+        entry$2.completion = { type: 'throw', arg: x };
+        ctx.n = loc$0;
+        return;
+      }
+    }
+  }
+
+  function resumeDelegate() {
+    var inner = ctx.inner;
+    var method = inner[ctx.method];
+    var result;
+
+    if (method === undefined) {
+      ctx.inner = null;
+
+      if (ctx.method === 'throw') {
+        if (inner.return) inner.return();
+        ctx.arg = new TypeError('The iterator does not provide a throw method');
+      }
+
+      return null;
+    }
+
+    try {
+      result = method.call(inner, ctx.arg);
+    } catch (x) {
+      ctx.inner = null;
+      ctx.method = 'throw';
+      ctx.arg = x;
+      return null;
+    }
+
+    if (Object(result) !== result) {
+      ctx.inner = null;
+      ctx.method = 'throw';
+      ctx.arg = new TypeError('Iterator result ' + result + ' is not an object');
+      return null;
+    }
+
+    if (!result.done)
+      return result;
+
+    ctx.inner = null;
+    ctx.arg = result.value;
+
+    if (ctx.method === 'throw')
+      ctx.method = 'next';
+
+    return null;
+  }
+
+  function resume(method, arg) {
+    if (state === RUNNING)
+      throw new TypeError('Generator is already running');
+
+    if (state === START && method !== 'next')
+      state = DONE;
+
+    if (state === DONE) {
+      if (method === 'throw') throw arg;
+      return { value: method === 'return' ? arg : undefined, done: true };
+    }
+
+    ctx.method = method;
+    ctx.arg = arg;
+
+    while (true) {
+      if (ctx.inner) {
+        var result$0 = resumeDelegate();
+        if (result$0) return result$0;
+      }
+
+      if (ctx.method === 'throw') {
+        if (ctx.done) {
+          state = DONE;
+          throw ctx.arg;
+        }
+        dispatch(ctx.arg);
+      } else if (ctx.method === 'return') {
+        ctx.abrupt('return', ctx.arg);
+      } else {
+        ctx.sent = ctx.arg;
+      }
+
+      ctx.method = 'next';
+      ctx.arg = undefined;
+      state = RUNNING;
+
+      var value$0;
+
+      try {
+        value$0 = fn.call(self, ctx);
+      } catch (x) {
+        ctx.method = 'throw';
+        ctx.arg = x;
+        continue;
+      }
+
+      state = ctx.done ? DONE : SUSPENDED;
+
+      if (value$0 !== CONTINUE)
+        return { value: value$0, done: ctx.done };
+    }
+  }
+
+  var iter = {
+    next: function(value) { return resume('next', value); },
+    throw: function(value) { return resume('throw', value); },
+    return: function(value) { return resume('return', value); },
+  };
+
+  if (typeof Symbol === 'function' && Symbol.iterator)
+    iter[Symbol.iterator] = function() { return this; };
+
+  return iter;
+};
+
 //// async
 
 exports.async = function asyncFunction(iter) {
@@ -155,11 +848,11 @@ exports.async = function asyncFunction(iter) {
     resume('next', undefined);
     function resume(type, value) {
       try {
-        var result$0 = iter[type](value);
-        if (result$0.done) {
-          resolve(result$0.value);
+        var result$1 = iter[type](value);
+        if (result$1.done) {
+          resolve(result$1.value);
         } else {
-          Promise.resolve(result$0.value).then(
+          Promise.resolve(result$1.value).then(
             function(x) { return resume('next', x); },
             function(x) { return resume('throw', x); });
         }
@@ -170,11 +863,74 @@ exports.async = function asyncFunction(iter) {
   });
 };
 
+// Evaluates the body of a module which contains top-level await, exposing a
+// promise for its completion as the "__ready" property of the module's exports.
+// The body is evaluated like an async function and returns a promise.
+exports.asyncModule = function asyncModule(moduleExports, body) {
+  var ready = body();
+  Object.defineProperty(moduleExports, '__ready', { value: ready, configurable: true });
+  return ready;
+};
+
 exports.asyncIter = function asyncIter(obj) {
   var method = obj[Symbol.asyncIterator] || obj[Symbol.iterator];
   return method.call(obj);
 };
 
+// Steps through an async iterator in the same way as iterCursor, except that
+// each method returns a promise
+exports.asyncIterCursor = function asyncIterCursor(obj) {
+  var iter = exports.asyncIter(obj);
+
+  return {
+    done: false,
+    value: undefined,
+    next: function() { var __this = this; 
+      if (this.done)
+        return Promise.resolve(false);
+
+      // Iterators which throw from next are not closed
+      this.done = true;
+
+      return Promise.resolve(iter.next()).then(function(result) {
+        if (iterResult(result).done)
+          return false;
+
+        return Promise.resolve(result.value).then(function(value) {
+          __this.done = false;
+          __this.value = value;
+          return true;
+        });
+      });
+    },
+    close: function() {
+      if (this.done)
+        return Promise.resolve();
+
+      this.done = true;
+
+      var fn = iter.return;
+
+      if (fn == null)
+        return Promise.resolve();
+
+      return Promise.resolve(fn.call(iter)).then(iterResult);
+    },
+    abort: function(error) {
+      if (this.done)
+        return Promise.resolve(error);
+
+      this.done = true;
+
+      // Errors from closing are ignored when iteration ends with an error
+      return new Promise(function(resolve) {
+        var fn = iter.return;
+        resolve(fn == null ? undefined : fn.call(iter));
+      }).then(function() { return error; }, function() { return error; });
+    },
+  };
+};
+
 exports.asyncGen = function asyncGen(iter) {
   var front = null;
   var back = null;
@@ -224,18 +980,18 @@ exports.asyncGen = function asyncGen(iter) {
 
   function resume(type, value) {
     try {
-      var result$1 = iter[type](value);
-      value = result$1.value;
+      var result$2 = iter[type](value);
+      value = result$2.value;
 
       if (value && typeof value === 'object' && '_esdown_await' in value) {
-        if (result$1.done)
+        if (result$2.done)
           throw new Error('Invalid async generator return');
 
         Promise.resolve(value._esdown_await).then(
           function(x) { return resume('next', x); },
           function(x) { return resume('throw', x); });
       } else {
-        settle(result$1.done ? 'return' : 'normal', result$1.value);
+        settle(result$2.done ? 'return' : 'normal', result$2.value);
       }
     } catch (x) {
       settle('throw', x);
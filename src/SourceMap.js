@@ -0,0 +1,128 @@
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Returns the offset at which each line of text begins
+function lineStarts(text) {
+  let starts = [0];
+  let pattern = /\r\n?|\n/g;
+  let match;
+
+  while (match = pattern.exec(text))
+    starts.push(match.index + match[0].length);
+
+  return starts;
+}
+
+// Converts an offset into a zero-based line and column
+function locate(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+
+  while (low < high) {
+    let mid = (low + high + 1) >> 1;
+
+    if (starts[mid] <= offset)
+      low = mid;
+    else
+      high = mid - 1;
+  }
+
+  return { line: low, column: offset - starts[low] };
+}
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let out = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+
+    if (vlq > 0)
+      digit |= 32;
+
+    out += BASE64[digit];
+  } while (vlq > 0);
+
+  return out;
+}
+
+// Moves mappings at or after a generated offset by the length of inserted
+// text
+export function shiftMappings(mappings, offset, length) {
+  if (!mappings)
+    return mappings;
+
+  return mappings.map(m => m[0] >= offset ? [m[0] + length, m[1]] : m);
+}
+
+// Encodes a string as UTF-8 bytes in base64
+export function encodeBase64(text) {
+  let bytes = unescape(encodeURIComponent(text));
+  let out = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    let a = bytes.charCodeAt(i);
+    let b = bytes.charCodeAt(i + 1);
+    let c = bytes.charCodeAt(i + 2);
+
+    out += BASE64[a >> 2];
+    out += BASE64[(a & 3) << 4 | (b >> 4)];
+    out += i + 1 < bytes.length ? BASE64[(b & 15) << 2 | (c >> 6)] : '=';
+    out += i + 2 < bytes.length ? BASE64[c & 63] : '=';
+  }
+
+  return out;
+}
+
+// Creates a version 3 source map from a list of [generated offset, original
+// offset] pairs.  When several pairs share a generated offset, the last one
+// is used.
+export function createSourceMap(output, input, mappings, source = '') {
+  let outputLines = lineStarts(output);
+  let inputLines = lineStarts(input);
+  let byOffset = new Map;
+
+  mappings.forEach(([generated, original]) => {
+    if (generated >= 0 && generated < output.length && original >= 0 && original <= input.length)
+      byOffset.set(generated, original);
+  });
+
+  let offsets = Array.from(byOffset.keys()).sort((a, b) => a - b);
+  let lines = [];
+  let segments = [];
+  let currentLine = 0;
+  let previous = { column: 0, line: 0, originalColumn: 0 };
+
+  offsets.forEach(offset => {
+    let generated = locate(outputLines, offset);
+    let original = locate(inputLines, byOffset.get(offset));
+
+    while (currentLine < generated.line) {
+      lines.push(segments.join(','));
+      segments = [];
+      previous.column = 0;
+      currentLine++;
+    }
+
+    segments.push(
+      encodeVLQ(generated.column - previous.column) +
+      encodeVLQ(0) +
+      encodeVLQ(original.line - previous.line) +
+      encodeVLQ(original.column - previous.originalColumn)
+    );
+
+    previous.column = generated.column;
+    previous.line = original.line;
+    previous.originalColumn = original.column;
+  });
+
+  lines.push(segments.join(','));
+
+  return {
+    version: 3,
+    sources: [source],
+    sourcesContent: [input],
+    names: [],
+    mappings: lines.join(';'),
+  };
+}
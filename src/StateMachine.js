@@ -0,0 +1,880 @@
+/*
+
+Generator functions are lowered to a switch statement inside of a loop.  Each
+"case" of the switch is a resumption point.  Statements which do not contain a
+yield are copied into the output as-is; statements which do contain a yield are
+"exploded" into a sequence of jumps between cases.  The runtime helper
+"_esdown.gen" drives the resulting function as an iterator.
+
+Async functions are lowered in the same way, with each await treated as a
+yield.  The resulting iterator is then driven by "_esdown.async" or
+"_esdown.asyncGen".
+
+*/
+
+class Label {
+  constructor() {
+    this.value = -1;
+  }
+
+  toString() {
+    return String(this.value);
+  }
+}
+
+function isFunctionNode(node) {
+  switch (node.type) {
+    case 'ArrowFunction':
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'MethodDefinition':
+      return true;
+  }
+
+  return false;
+}
+
+// Returns true if the statement declares a function, including exported
+// function declarations and anonymous default functions within modules
+function isFunctionDeclaration(node) {
+  switch (node.type) {
+    case 'ExportDeclaration': node = node.declaration; break;
+    case 'ExportDefault': node = node.binding; break;
+  }
+
+  return node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' && node.parent.type === 'ExportDefault';
+}
+
+function isConstant(node) {
+  switch (node.type) {
+    case 'NumberLiteral':
+    case 'StringLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+    case 'RegularExpression':
+    case 'ThisExpression':
+    case 'SuperKeyword':
+    case 'FunctionExpression':
+    case 'ArrowFunction':
+    case 'TemplatePart':
+      return true;
+
+    case 'Identifier':
+      return node.context !== 'variable';
+  }
+
+  return false;
+}
+
+function isAsyncType(type) {
+  return type === 'async' || type === 'async-generator';
+}
+
+function isSuspension(node) {
+  switch (node.type) {
+    case 'YieldExpression': return true;
+    case 'UnaryExpression': return node.operator === 'await';
+    case 'ForOfStatement': return node.async;
+  }
+
+  return false;
+}
+
+function isAssignmentTarget(node) {
+  let p = node.parent;
+
+  while (p.type === 'ParenExpression') {
+    node = p;
+    p = p.parent;
+  }
+
+  switch (p.type) {
+    case 'AssignmentExpression': return p.left === node;
+    case 'UpdateExpression': return true;
+    case 'CallExpression': return p.callee === node;
+  }
+
+  return false;
+}
+
+// Marks functions that should be lowered to state machines, and flags each node
+// within those functions which contains a suspension point
+export function markStateMachines(ast, isMachine) {
+  let visit = (node, fn) => {
+    // Modules which contain top-level await are lowered like async functions
+    if (isFunctionNode(node) || node.type === 'Module') {
+      fn = null;
+
+      if (isMachine(node)) {
+        node.stateMachine = true;
+        fn = node;
+      }
+    } else if (fn && isSuspension(node)) {
+      for (let p = node; p !== fn; p = p.parent)
+        p.hasYield = true;
+    }
+
+    node.children().forEach(child => visit(child, fn));
+  };
+
+  visit(ast, null);
+}
+
+export class StateMachine {
+
+  constructor(replacer, fn) {
+    this.replacer = replacer;
+    this.input = replacer.input;
+    this.fn = fn;
+    this.code = [];
+    this.hoisted = [];
+    this.tryEntries = [];
+    this.cases = 0;
+  }
+
+  // The epilogue is evaluated after the last statement of the function
+  translate(epilogue = '') {
+    let fn = this.fn;
+    let body = fn.body;
+    let replacer = this.replacer;
+
+    this.mark(new Label());
+
+    let directives = [];
+
+    if (fn.type === 'Module') {
+      this.explodeList(fn.statements, fn.start);
+    } else if (body.type === 'FunctionBody') {
+      let statements = body.statements;
+      let offset = body.start + 1;
+
+      // Directives must remain at the start of the outer function
+      while (statements.length > 0 && statements[0].type === 'Directive') {
+        directives.push(statements[0].text);
+        offset = statements[0].end;
+        statements = statements.slice(1);
+      }
+
+      this.explodeList(statements, offset);
+    } else {
+      this.emit(`return __g.abrupt('return', ${ this.explodeExpression(body) }); `);
+    }
+
+    if (epilogue)
+      this.emit(epilogue, ' ');
+
+    let args = '';
+    let jumps = fn.jumpTable || [];
+
+    if (jumps.length > 0 || this.tryEntries.length > 0)
+      args += ', [' + this.tryEntries.map(e => '[' + e.join(', ') + ']').join(', ') + ']';
+
+    if (jumps.length > 0)
+      args += ', [' + jumps.map(j => j.node[j.kind + 'Label']).join(', ') + ']';
+
+    replacer.markRuntime('generators');
+
+    let machine = '_esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) { ' +
+      this.code.join('') +
+      ' default: return __g.stop(); } }, this' + args + ')';
+
+    // Async functions wrap the iterator with a driver which resumes it
+    // when awaited promises are settled
+    if (isAsyncType(fn.kind)) {
+      let driver = fn.kind === 'async-generator' ? 'asyncGen' : 'async';
+      machine = `_esdown.${ driver }(${ machine })`;
+      replacer.markRuntime('async');
+    }
+
+    // Variables must be declared in the outer function so that they
+    // survive across resumptions
+    let names = this.declaredNames();
+    let insert = fn.type === 'Module' ? replacer.moduleInsert(fn) : replacer.functionInsert(fn);
+    let head = directives;
+
+    if (insert)
+      head.push(insert);
+
+    if (names.length > 0)
+      head.push('var ' + names.join(', ') + ';');
+
+    head.push(...this.hoisted);
+
+    return '{ ' + head.map(s => s + ' ').join('') + 'return ' + machine + '; }';
+  }
+
+  declaredNames() {
+    let names = [];
+    let scope = this.findScope(this.replacer.parseResult.scopeTree);
+
+    let visit = scope => {
+      Object.keys(scope.names).forEach(key => {
+        let decl = scope.names[key].declarations[0];
+
+        // Bindings stored in loop records are not declared
+        if (!decl.iterationRecord)
+          names.push(this.replacer.declaredName(decl));
+      });
+
+      scope.children.forEach(child => {
+        if (child.type !== 'function' && child.type !== 'class')
+          visit(child);
+      });
+    };
+
+    // Skip over the parameter scope and collect the names declared within
+    // the function body
+    if (this.fn.type === 'Module')
+      visit(scope);
+    else
+      scope.children.forEach(param => param.children.forEach(visit));
+
+    return names;
+  }
+
+  findScope(scope) {
+    if (scope.node === this.fn)
+      return scope;
+
+    for (let i = 0; i < scope.children.length; ++i) {
+      let found = this.findScope(scope.children[i]);
+      if (found)
+        return found;
+    }
+
+    return null;
+  }
+
+  emit(...parts) {
+    this.code.push(...parts);
+  }
+
+  mark(label) {
+    label.value = this.cases++;
+    this.emit(' case ', label, ': ');
+  }
+
+  jump(label) {
+    this.emit('__g.n = ', label, '; break; ');
+  }
+
+  jumpIf(test, label) {
+    this.emit(`if (${ test }) { __g.n = `, label, '; break; } ');
+  }
+
+  tempVar() {
+    return this.replacer.addTempVar(this.fn);
+  }
+
+  saveTemp(text) {
+    let temp = this.tempVar();
+    this.emit(`${ temp } = ${ text }; `);
+    return temp;
+  }
+
+  explodeList(list, offset) {
+    list.forEach(node => {
+      // Preserve whitespace and comments between statements
+      if (offset < node.start)
+        this.emit(this.input.slice(offset, node.start));
+
+      this.explodeStatement(node);
+      offset = node.end;
+    });
+  }
+
+  explodeStatement(node) {
+    if (!node.hasYield) {
+      if (isFunctionDeclaration(node)) this.hoisted.push(node.text);
+      else this.emit(node.text, ' ');
+      return;
+    }
+
+    let after = new Label();
+    let text;
+
+    switch (node.type) {
+      case 'Block':
+        if (node.tdzNames)
+          this.emit(this.replacer.tdzReset(node), '; ');
+
+        this.explodeList(node.statements, node.start + 1);
+        break;
+
+      case 'ExpressionStatement':
+        text = this.explodeExpression(node.expression);
+        if (text !== '__g.sent')
+          this.emit(text, '; ');
+        break;
+
+      case 'VariableDeclaration':
+        this.explodeDeclaration(node);
+        break;
+
+      case 'ExportDeclaration':
+        this.explodeStatement(node.declaration);
+        break;
+
+      case 'ExportDefault':
+        this.emit(`exports['default'] = ${ this.explodeExpression(node.binding) }; `);
+        break;
+
+      case 'ReturnStatement':
+        this.emit(`return __g.abrupt('return', ${ this.explodeExpression(node.argument) }); `);
+        break;
+
+      case 'ThrowStatement':
+        this.emit(`throw ${ this.explodeExpression(node.expression) }; `);
+        break;
+
+      case 'IfStatement': {
+        let alt = node.alternate ? new Label() : after;
+        this.jumpIf(`!(${ this.explodeExpression(node.test) })`, alt);
+        this.explodeStatement(node.consequent);
+        if (node.alternate) {
+          this.jump(after);
+          this.mark(alt);
+          this.explodeStatement(node.alternate);
+        }
+        this.mark(after);
+        break;
+      }
+
+      case 'LabelledStatement':
+        node.breakLabel = after;
+        this.explodeStatement(node.statement);
+        this.mark(after);
+        break;
+
+      case 'WhileStatement': {
+        let head = new Label();
+        node.breakLabel = after;
+        node.continueLabel = head;
+        this.mark(head);
+        this.jumpIf(`!(${ this.explodeExpression(node.test) })`, after);
+
+        if (node.iterationRecord)
+          this.emit(this.replacer.nextRecord(node), '; ');
+
+        this.explodeStatement(node.body);
+        this.jump(head);
+        this.mark(after);
+        break;
+      }
+
+      case 'DoWhileStatement': {
+        let head = new Label();
+        let test = new Label();
+        node.breakLabel = after;
+        node.continueLabel = test;
+        this.mark(head);
+
+        if (node.iterationRecord)
+          this.emit(this.replacer.nextRecord(node), '; ');
+
+        this.explodeStatement(node.body);
+        this.mark(test);
+        this.jumpIf(this.explodeExpression(node.test), head);
+        this.mark(after);
+        break;
+      }
+
+      case 'ForStatement': {
+        let head = new Label();
+        let update = new Label();
+        let init = node.initializer;
+
+        if (node.tdzNames)
+          this.emit(this.replacer.tdzReset(node), '; ');
+
+        if (node.iterationRecord)
+          this.emit(this.replacer.recordVar(node), ' = {}; ');
+
+        if (init && init.type === 'VariableDeclaration')
+          this.explodeDeclaration(init);
+        else if (init)
+          this.emit(this.explodeExpression(init), '; ');
+
+        // Bindings captured by closures are copied into a new record for
+        // each iteration
+        if (node.iterationRecord)
+          this.emit(this.replacer.nextRecord(node), '; ');
+
+        node.breakLabel = after;
+        node.continueLabel = update;
+        this.mark(head);
+
+        if (node.test)
+          this.jumpIf(`!(${ this.explodeExpression(node.test) })`, after);
+
+        this.explodeStatement(node.body);
+        this.mark(update);
+
+        if (node.iterationRecord)
+          this.emit(this.replacer.nextRecord(node), '; ');
+
+        if (node.update)
+          this.emit(this.explodeExpression(node.update), '; ');
+
+        this.jump(head);
+        this.mark(after);
+        break;
+      }
+
+      case 'ForInStatement': {
+        let head = new Label();
+        let object = this.saveTemp(`Object(${ this.explodeExpression(node.right) })`);
+        let keys = this.tempVar();
+        let index = this.tempVar();
+        let key = this.tempVar();
+
+        this.emit(`${ keys } = []; for (${ key } in ${ object }) ${ keys }.push(${ key }); `);
+        this.emit(`${ index } = 0; `);
+        node.breakLabel = after;
+        node.continueLabel = head;
+        this.mark(head);
+        this.jumpIf(`${ index } >= ${ keys }.length`, after);
+        this.emit(`${ key } = ${ keys }[${ index }++]; `);
+        this.jumpIf(`!(${ key } in ${ object })`, head);
+        this.assignBinding(node.left, key);
+        this.explodeStatement(node.body);
+        this.jump(head);
+        this.mark(after);
+        break;
+      }
+
+      case 'ForOfStatement': {
+        let head = new Label();
+        let right = this.explodeExpression(node.right);
+
+        // In spec mode, the loop is wrapped in an implicit try statement
+        // which closes the iterator.  Async iterators are closed by awaiting
+        // the result of their return method.
+        if (this.replacer.options.spec) {
+          let start = new Label();
+          let catchLabel = new Label();
+          let finallyLabel = new Label();
+          let iter = this.saveTemp(node.async ?
+            `_esdown.asyncIterCursor(${ right })` :
+            `_esdown.iter(${ right })`);
+
+          this.replacer.markRuntime('iterators');
+          this.tryEntries.push([start, catchLabel, finallyLabel, after]);
+
+          node.breakLabel = after;
+          node.continueLabel = head;
+          this.mark(start);
+          this.emit('__g.p = ', start, '; ');
+          this.mark(head);
+
+          let next = `${ iter }.next()`;
+          this.jumpIf(`!${ node.async ? this.awaitValue(next) : next }`, finallyLabel);
+          this.assignBinding(node.left, `${ iter }.value`);
+          this.explodeStatement(node.body);
+          this.jump(head);
+          this.mark(catchLabel);
+
+          if (node.async) {
+            let error = this.tempVar();
+            this.emit(`${ error } = _esdown.iterAbort(${ iter }, __g.caught(`, start, ')); ');
+            this.emit(`throw ${ this.awaitValue(error) }; `);
+            this.mark(finallyLabel);
+            this.awaitValue(`_esdown.iterClose(${ iter })`);
+          } else {
+            this.emit(`throw _esdown.iterAbort(${ iter }, __g.caught(`, start, ')); ');
+            this.mark(finallyLabel);
+            this.emit(`_esdown.iterClose(${ iter }); `);
+          }
+
+          this.emit('return __g.finish(', finallyLabel, '); ');
+          this.mark(after);
+          break;
+        }
+
+        let iter = node.async ?
+          this.saveTemp(`_esdown.asyncIter(${ right })`) :
+          this.saveTemp(`(${ right })[Symbol.iterator]()`);
+        let result = this.tempVar();
+
+        node.breakLabel = after;
+        node.continueLabel = head;
+        this.mark(head);
+
+        if (node.async) {
+          let bind = new Label();
+          let next = this.awaitValue(`${ iter }.next()`);
+          this.emit(`${ result } = ${ next }; `);
+          this.jumpIf(`${ result }.done`, after);
+          this.jumpIf(`!(${ result }.value && typeof ${ result }.value.then === 'function')`, bind);
+          this.emit(`${ result }.value = ${ this.awaitValue(`${ result }.value`) }; `);
+          this.mark(bind);
+        } else {
+          this.jumpIf(`(${ result } = ${ iter }.next()).done`, after);
+        }
+
+        this.assignBinding(node.left, `${ result }.value`);
+        this.explodeStatement(node.body);
+        this.jump(head);
+        this.mark(after);
+        break;
+      }
+
+      case 'SwitchStatement': {
+        let disc = this.saveTemp(this.explodeExpression(node.descriminant));
+        let labels = node.cases.map(() => new Label());
+        let defaultLabel = after;
+
+        node.breakLabel = after;
+
+        node.cases.forEach((c, i) => {
+          if (c.test) this.jumpIf(`${ disc } === ${ this.explodeExpression(c.test) }`, labels[i]);
+          else defaultLabel = labels[i];
+        });
+
+        this.jump(defaultLabel);
+
+        node.cases.forEach((c, i) => {
+          this.mark(labels[i]);
+          this.explodeList(c.consequent, c.consequent.length > 0 ? c.consequent[0].start : 0);
+        });
+
+        this.mark(after);
+        break;
+      }
+
+      case 'TryStatement': {
+        let start = new Label();
+        let handler = node.handler;
+        let catchLabel = handler ? new Label() : null;
+        let finallyLabel = node.finalizer ? new Label() : null;
+
+        this.tryEntries.push([start, catchLabel || '', finallyLabel || '', after]);
+
+        // Try blocks are entered by falling through, so we must update the
+        // current location manually
+        this.mark(start);
+        this.emit('__g.p = ', start, '; ');
+        this.explodeStatement(node.block);
+        this.jump(finallyLabel || after);
+
+        if (handler) {
+          this.mark(catchLabel);
+          this.caughtValue(handler.param, start);
+          this.explodeStatement(handler.body);
+          this.jump(finallyLabel || after);
+        }
+
+        if (finallyLabel) {
+          this.mark(finallyLabel);
+          this.explodeStatement(node.finalizer);
+          this.emit('return __g.finish(', finallyLabel, '); ');
+        }
+
+        this.mark(after);
+        break;
+      }
+
+      default:
+        this.replacer.fail('Unsupported yield position', node);
+    }
+  }
+
+  explodeDeclaration(node) {
+    node.declarations.forEach(decl => {
+      if (decl.initializer)
+        this.emit(this.assignment(decl.pattern, this.explodeExpression(decl.initializer)));
+      else if (decl.tdzReset)
+        this.emit(this.assignment(decl.pattern, 'void 0'));
+    });
+  }
+
+  assignBinding(left, value) {
+    let binding = left.type === 'VariableDeclaration' ?
+      left.declarations[0].pattern :
+      this.replacer.unwrapParens(left);
+
+    if (left.parent.iterationRecord)
+      this.emit(this.replacer.recordVar(left.parent), ' = {}; ');
+
+    this.emit(this.assignment(binding, value));
+  }
+
+  assignment(target, value) {
+    let replacer = this.replacer;
+
+    if (replacer.isPattern(target)) {
+      let list = replacer.translatePattern(target, value);
+      return replacer.iteratorGuard(list.join(', ') + ';', target) + ' ';
+    }
+
+    return `${ target.text } = ${ value }; `;
+  }
+
+  caughtValue(param, tryLabel) {
+    if (!param) {
+      this.emit('__g.caught(', tryLabel, '); ');
+      return;
+    }
+
+    if (!this.replacer.isPattern(param)) {
+      this.emit(`${ param.text } = __g.caught(`, tryLabel, '); ');
+      return;
+    }
+
+    let temp = this.tempVar();
+    this.emit(`${ temp } = __g.caught(`, tryLabel, '); ');
+    this.emit(this.assignment(param, temp));
+  }
+
+  explodeExpression(node, keep) {
+    if (!node.hasYield) {
+      if (keep && !isConstant(node))
+        return this.saveTemp(node.text);
+
+      return node.text;
+    }
+
+    let text;
+
+    switch (node.type) {
+      case 'YieldExpression': {
+        let value = node.expression ? this.explodeExpression(node.expression) : 'void 0';
+
+        if (!node.delegate) text = this.suspend(value);
+        else if (this.fn.kind === 'async-generator') text = this.delegateAsync(value);
+        else text = this.suspend(`__g.delegate(${ value })`);
+        break;
+      }
+
+      case 'UnaryExpression':
+        if (node.operator === 'await') {
+          text = this.awaitValue(this.explodeExpression(node.expression));
+          break;
+        }
+        text = this.explodeChildren(node);
+        break;
+
+      case 'ParenExpression':
+        text = '(' + this.explodeExpression(node.expression) + ')';
+        break;
+
+      case 'SequenceExpression': {
+        let list = node.expressions;
+        list.slice(0, -1).forEach(expr => {
+          let value = this.explodeExpression(expr);
+          if (value !== '__g.sent')
+            this.emit(value, '; ');
+        });
+        text = this.explodeExpression(list[list.length - 1]);
+        break;
+      }
+
+      case 'ConditionalExpression': {
+        let alt = new Label();
+        let after = new Label();
+        text = this.tempVar();
+        this.jumpIf(`!(${ this.explodeExpression(node.test) })`, alt);
+        this.emit(`${ text } = ${ this.explodeExpression(node.consequent) }; `);
+        this.jump(after);
+        this.mark(alt);
+        this.emit(`${ text } = ${ this.explodeExpression(node.alternate) }; `);
+        this.mark(after);
+        break;
+      }
+
+      case 'BinaryExpression':
+        if (node.operator === '&&' || node.operator === '||' || node.operator === '??') {
+          let after = new Label();
+          text = this.saveTemp(this.explodeExpression(node.left));
+
+          if (node.operator === '??') this.jumpIf(`${ text } != null`, after);
+          else this.jumpIf((node.operator === '&&' ? '!' : '') + text, after);
+
+          this.emit(`${ text } = ${ this.explodeExpression(node.right) }; `);
+          this.mark(after);
+          break;
+        }
+        text = this.explodeChildren(node);
+        break;
+
+      case 'OptionalExpression':
+        text = this.explodeOptional(node);
+        break;
+
+      case 'AssignmentExpression':
+        switch (node.operator) {
+          case '&&=':
+          case '||=':
+          case '??=':
+            text = this.explodeLogicalAssignment(node);
+            break;
+          default:
+            text = this.explodeChildren(node);
+            break;
+        }
+        break;
+
+      default:
+        text = this.explodeChildren(node);
+        break;
+    }
+
+    return keep ? this.saveTemp(text) : text;
+  }
+
+  explodeOptional(node) {
+    let replacer = this.replacer;
+    let temp = replacer.optionalTemp(node);
+    let after = new Label();
+    let text = this.tempVar();
+    let object = node.object.text;
+    let expr;
+
+    if (node.object.hasYield) {
+      let member = node.optionalThis ? replacer.optionalCallTarget(node.object) : null;
+
+      if (!member) {
+        object = this.explodeExpression(node.object);
+      } else if (member === replacer.unwrapParens(node.object)) {
+        // The receiver of an optional call is saved before the call
+        let receiver = this.explodeExpression(member.object);
+        member.object.text = `(${ node.optionalThis } = ${ receiver })`;
+
+        if (member.computed)
+          member.property.text = this.explodeExpression(member.property);
+
+        object = replacer.rewrite(member);
+      } else {
+        replacer.fail('Unsupported yield position', node);
+      }
+    }
+
+    let [parent] = replacer.parenParent(node);
+    let remove = parent.type === 'UnaryExpression' && parent.operator === 'delete';
+
+    this.emit(`${ text } = ${ remove ? 'true' : 'void 0' }; `);
+    this.jumpIf(`(${ temp } = ${ object }) == null`, after);
+    expr = this.explodeExpression(node.expression);
+    this.emit(`${ text } = ${ remove ? 'delete ' : '' }${ expr }; `);
+    this.mark(after);
+
+    return text;
+  }
+
+  explodeLogicalAssignment(node) {
+    let replacer = this.replacer;
+    let left = replacer.unwrapParens(node.left);
+    let op = node.operator.slice(0, -1);
+    let after = new Label();
+
+    if (replacer.isPrivateMember(left))
+      replacer.fail('Unsupported yield position', node);
+
+    // The target is evaluated once, before the right side
+    this.keepValue(left);
+
+    let text = this.saveTemp(left.text);
+
+    if (op === '??') this.jumpIf(`${ text } != null`, after);
+    else this.jumpIf((op === '&&' ? '!' : '') + text, after);
+
+    this.emit(`${ text } = ${ left.text } = ${ this.explodeExpression(node.right) }; `);
+    this.mark(after);
+
+    return text;
+  }
+
+  // Returns control to the runtime with a value, and resumes at the
+  // following location with the sent value
+  suspend(value) {
+    let after = new Label();
+    this.emit('__g.n = ', after, `; return ${ value }; `);
+    this.mark(after);
+    return '__g.sent';
+  }
+
+  awaitValue(value) {
+    // Async generators distinguish awaited values from yielded values
+    if (this.fn.kind === 'async-generator')
+      value = `{ _esdown_await: (${ value }) }`;
+
+    return this.suspend(value);
+  }
+
+  delegateAsync(value) {
+    let head = new Label();
+    let after = new Label();
+    let iter = this.saveTemp(`_esdown.asyncIter(${ value })`);
+    let sent = this.saveTemp('void 0');
+    let result = this.tempVar();
+
+    this.mark(head);
+
+    let next = this.awaitValue(`${ iter }.next(${ sent })`);
+    this.emit(`${ result } = ${ next }; `);
+    this.jumpIf(`${ result }.done`, after);
+    this.emit(`${ sent } = ${ this.suspend(`${ result }.value`) }; `);
+    this.jump(head);
+    this.mark(after);
+
+    return `${ result }.value`;
+  }
+
+  explodeChildren(node) {
+    let children = node.children();
+    let last = -1;
+
+    children.forEach((child, i) => {
+      if (child.hasYield)
+        last = i;
+    });
+
+    children.forEach((child, i) => {
+      if (i < last) this.keepValue(child);
+      else if (i === last) child.text = this.explodeExpression(child);
+      else if (child.type === 'PropertyDefinition' || child.type === 'MethodDefinition')
+        this.replacer.rewrite(child);
+    });
+
+    return this.replacer.rewrite(node);
+  }
+
+  // Ensures that the value of an expression, evaluated before a
+  // yield, is not affected by code which runs while suspended
+  keepValue(node) {
+    switch (node.type) {
+      case 'PropertyDefinition':
+      case 'SpreadExpression':
+      case 'ComputedPropertyName':
+        node.children().forEach(child => this.keepValue(child));
+        this.replacer.rewrite(node);
+        return;
+
+      case 'ArrayPattern':
+      case 'ObjectPattern':
+        return;
+    }
+
+    if (node.hasYield) {
+      node.text = this.explodeExpression(node, true);
+      return;
+    }
+
+    if (isConstant(node))
+      return;
+
+    if (isAssignmentTarget(node)) {
+      if (node.type === 'MemberExpression') {
+        this.keepValue(node.object);
+        if (node.computed)
+          this.keepValue(node.property);
+        this.replacer.rewrite(node);
+      }
+      return;
+    }
+
+    node.text = this.saveTemp(node.text);
+  }
+
+}
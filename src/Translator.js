@@ -1,6 +1,7 @@
 import { Runtime } from './Runtime.js';
 import { replaceText } from './Replacer.js';
 import { isNodeModule, isLegacyScheme, removeScheme } from './Specifier.js';
+import { createSourceMap, shiftMappings, encodeBase64 } from './SourceMap.js';
 
 const WRAP_CALLEE = '(function(fn, name) { ' +
   // CommonJS:
@@ -18,6 +19,19 @@ const MODULE_IMPORT = 'function __import(e) { ' +
     'Object.create(e, { "default": { value: e } }); ' +
 '} ';
 
+// Evaluates a module body after its dependencies which use top-level await are
+// ready.  The body generator yields its dependencies after they are loaded.
+const MODULE_WAIT = 'function __wait(e, g) { ' +
+  'var p = g.next().value.filter(function(m) { return m && m.__ready; }); ' +
+  'if (p.length === 0) return void g.next(); ' +
+  'var ready = Promise.all(p.map(function(m) { return m.__ready; })).then(function() { ' +
+    'g.next(); ' +
+    // Modules which use top-level await replace the promise with their own
+    'return e.__ready !== ready ? e.__ready : void 0; ' +
+  '}); ' +
+  'Object.defineProperty(e, "__ready", { value: ready, configurable: true }); ' +
+'} ';
+
 function wrapRuntime(featureSet) {
   if (!featureSet || featureSet.size === 0) {
     return '';
@@ -34,14 +48,20 @@ function wrapRuntime(featureSet) {
 }
 
 export function translate(input, options = {}) {
+  let source = input;
   let shebang = '';
 
   // From node/lib/module.js/Module.prototype._compile
   input = input.replace(/^\#\!.*/, m => { shebang = m; return ''; });
 
+  // Offsets in the translated input are mapped to offsets in the source
+  let sourceOffset = shebang.length;
+
   // From node/lib/module.js/stripBOM
-  if (input.charCodeAt(0) === 0xFEFF)
+  if (input.charCodeAt(0) === 0xFEFF) {
     input = input.slice(1);
+    sourceOffset += 1;
+  }
 
   // Node modules are wrapped inside of a function expression, which allows
   // return statements
@@ -51,21 +71,70 @@ export function translate(input, options = {}) {
   let result = replaceText(input, options);
   let output = result.output;
   let imports = result.imports;
+  let mappings = result.mappings;
 
   // Remove function expression wrapper for node-modules
-  if (options.functionContext)
+  if (options.functionContext) {
     output = output.slice(12, -3);
+    mappings = shiftMappings(mappings, 0, -12);
+    sourceOffset -= 12;
+  }
 
   // Add esdown-runtime dependency if runtime features are used
   if (!options.runtimeImports && result.runtime.length > 0)
     imports.push({ url: 'esdown-runtime', identifier: '_esdown' });
 
-  if (options.module && !options.noWrap)
-    output = "'use strict'; " + wrapModule(output, imports, options);
+  if (options.module && !options.noWrap) {
+    let wrapOptions = Object.assign({}, options, {
+      dynamicImport: result.dynamicImport,
+      exportHeader: result.exportHeader,
+    });
+
+    let wrapped = wrapModule(output, imports, wrapOptions);
+
+    if (mappings) {
+      let lead = output.startsWith('\n') ? 1 : 0;
+      let start = wrapped.lastIndexOf(output.slice(lead));
+      mappings = shiftMappings(mappings, lead, start - lead);
+    }
+
+    let strict = "'use strict'; ";
+    output = strict + wrapped;
+    mappings = shiftMappings(mappings, 0, strict.length);
+  } else {
+    let header = result.exportHeader;
+
+    // Dependencies are loaded before the module body is evaluated
+    if (options.loadImports)
+      header += imports.map(dep => dep.identifier + '; ').join('');
+
+    // import() expressions use the interop helper to load modules
+    if (result.dynamicImport)
+      header += MODULE_IMPORT;
+
+    if (header) {
+      mappings = shiftMappings(mappings, output.startsWith('\n') ? 1 : 0, header.length);
+      output = prependHeader(output, header);
+    }
+  }
 
   // Preserve shebang line for executable scripts
-  if (shebang && !options.noShebang)
+  if (shebang && !options.noShebang) {
     output = shebang + output;
+    mappings = shiftMappings(mappings, 0, shebang.length);
+  }
+
+  let map = null;
+
+  if (options.sourceMap) {
+    mappings = mappings.map(m => [m[0], m[1] + sourceOffset]);
+    map = createSourceMap(output, source, mappings, options.sourceFileName);
+
+    if (options.sourceMap === 'inline') {
+      output += '\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,' +
+        encodeBase64(JSON.stringify(map));
+    }
+  }
 
   if (options.result) {
     let r = options.result;
@@ -73,11 +142,21 @@ export function translate(input, options = {}) {
     r.output = output;
     r.imports = imports;
     r.runtime = result.runtime;
+    r.exportNames = result.exportNames;
+    r.reexports = result.reexports;
+    r.map = map;
   }
 
   return output;
 }
 
+// Inserts a header before the module text, after a line which was reserved
+// for a shebang
+function prependHeader(text, header) {
+  let prefix = text.startsWith('\n') ? '\n' : '';
+  return prefix + header + text.slice(prefix.length);
+}
+
 export function wrapModule(text, imports = [], options = {}) {
   let prefix = '';
 
@@ -87,11 +166,14 @@ export function wrapModule(text, imports = [], options = {}) {
     text = text.slice(1);
   }
 
-  let header = '';
+  // Live export getters are defined before dependencies are loaded
+  let header = options.exportHeader || '';
 
-  if (imports.length > 0)
+  if (imports.length > 0 || options.dynamicImport)
     header += MODULE_IMPORT;
 
+  let waits = [];
+
   let requires = imports.map(dep => {
     let ident = dep.identifier;
     let url = dep.url;
@@ -107,6 +189,9 @@ export function wrapModule(text, imports = [], options = {}) {
     if (options.runtimeImports && !legacy)
       url += '##ES6';
 
+    if (!legacy && ident !== '_esdown')
+      waits.push(ident);
+
     return `${ ident } = __import(require(${ JSON.stringify(url) }))`;
   });
 
@@ -115,6 +200,15 @@ export function wrapModule(text, imports = [], options = {}) {
 
   header += wrapRuntime(options.runtime);
 
+  // Generator functions are not available when generators are compiled to
+  // state machines
+  if (waits.length > 0 && !options.generators) {
+    header = MODULE_WAIT + '__wait(exports, function*() { ' + header +
+      `yield [${ waits.join(', ') }]; `;
+
+    text += '\n\n}.call(this));';
+  }
+
   if (!options.global || typeof options.global !== 'string')
     return prefix + header + text;
 
@@ -7,7 +7,7 @@ import { bundle } from './Bundler.js';
 import { translate } from './Translator.js';
 
 export { translate, bundle };
-export { parse } from 'esparse';
+export { parse } from './Parser.js';
 
 const HELP = `
 Start a REPL by running it without any arguments:
@@ -30,6 +30,17 @@ Translate a module by using a hyphen:
     --global, -g        If specified, the name of the global variable to
                         dump this module's exports into, if the resulting
                         script is not executed within any module system.
+    --generators        If present, generator and async functions will be
+                        compiled to ES5 state machines.
+    --tdz               If present, reading a block-scoped variable before
+                        it is initialized will throw a ReferenceError.
+    --live-exports      If present, exports are defined as getters before
+                        the module body runs, so that importers see the
+                        current values of exported variables.
+    --spec              If present, translated code follows the specification
+                        where the default output takes shortcuts.  Iterators
+                        are closed when for-of loops and array destructuring
+                        stop before they are done.
 
 `;
 
@@ -106,6 +117,22 @@ export function main(args) {
       'deep': {
         flag: true,
       },
+
+      'generators': {
+        flag: true,
+      },
+
+      'tdz': {
+        flag: true,
+      },
+
+      'live-exports': {
+        flag: true,
+      },
+
+      'spec': {
+        flag: true,
+      },
     },
 
     execute(params) {
@@ -116,6 +143,10 @@ export function main(args) {
           global: params.global,
           deep: params.deep,
           fullRuntime: params.fullRuntime,
+          generators: params.generators,
+          tdz: params.tdz,
+          liveExports: params['live-exports'],
+          spec: params.spec,
           allowBrokenLinks: params['allow-broken-links'],
         });
       } else {
@@ -128,6 +159,10 @@ export function main(args) {
             global: params.global,
             wrap: !params.nowrap,
             module: true,
+            generators: params.generators,
+            tdz: params.tdz,
+            liveExports: params['live-exports'],
+            spec: params.spec,
           });
         });
       }
@@ -0,0 +1,5 @@
+export let log = ['dep'];
+
+export let value = await Promise.resolve(1);
+
+log.push('dep ready');
@@ -0,0 +1,6 @@
+import { log, value } from './await-dep.js';
+
+log.push('root ' + value);
+
+export { log };
+export let result = value + 1;
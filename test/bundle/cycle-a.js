@@ -0,0 +1,5 @@
+import { fromB, defaultFromB } from "./cycle-b.js";
+export let fromA = fromB;
+export let defaultFromA = defaultFromB;
+export function name() { return "a"; }
+export default function() { return "default"; }
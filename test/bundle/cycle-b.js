@@ -0,0 +1,3 @@
+import defaultName, { name } from "./cycle-a.js";
+export let fromB = name();
+export let defaultFromB = defaultName();
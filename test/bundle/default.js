@@ -3,6 +3,7 @@
 import { bundle } from "../../src/Bundler.js";
 import * as Path from "node:path";
 import * as FS from "node:fs";
+import { pathToFileURL } from "node:url";
 import { runTests } from "moon-unit";
 
 const resolve = Path.resolve.bind(Path, __dirname);
@@ -49,4 +50,113 @@ runTests({
         });
     },
 
+    "Export-all declarations are expanded" (test) {
+        return bundle(resolve("./star.js")).then(output => {
+            let factory = new Function("module", "exports", output),
+                exports = {};
+            factory({ exports }, exports);
+            test._("Names other than default are exported").equals(Object.keys(exports).sort(), ["a", "b", "shared"]);
+            test._("Local exports take precedence").equals(exports.shared, "star");
+        });
+    },
+
+    "Export-all declarations of the same binding" (test) {
+        return bundle(resolve("./diamond.js")).then(output => {
+            let factory = new Function("module", "exports", output),
+                exports = {};
+            factory({ exports }, exports);
+            test._("Names re-exported from one module are not ambiguous").equals(exports.x, "c");
+        });
+    },
+
+    "Circular dependencies" (test) {
+        let warnings = [];
+        return bundle(resolve("./cycle-a.js"), { onWarning: msg => warnings.push(msg) }).then(output => {
+            let factory = new Function("module", "exports", output),
+                exports = {};
+            factory({ exports }, exports);
+            test._("Hoisted functions are available to modules in the cycle").equals(exports.fromA, "a");
+            test._("Anonymous default functions are hoisted").equals(exports.defaultFromA, "default");
+            test._("A warning lists the cycle").equals(warnings, ["Circular dependency: cycle-a.js -> cycle-b.js -> cycle-a.js"]);
+        });
+    },
+
+    "Circular dependencies with live exports" (test) {
+        return bundle(resolve("./cycle-a.js"), { liveExports: true, onWarning() {} }).then(output => {
+            let factory = new Function("module", "exports", output),
+                exports = {};
+            factory({ exports }, exports);
+            test._("Hoisted functions are available to modules in the cycle").equals(exports.fromA, "a");
+            test._("Anonymous default functions are hoisted").equals(exports.defaultFromA, "default");
+        });
+    },
+
+    "Dynamic import" (test) {
+        return bundle(resolve("./dynamic-root.js")).then(output => {
+            let match = /\n(-?\d+), function\(module, exports\) \{[^}]*log\.push\('target'\)/.exec(output),
+                id = match ? Number(match[1]) : 0;
+            test._("Dynamically imported modules are registered with a negative id").assert(id < 0);
+            test._("import() loads the module by id").assert(output.includes("return __M(" + -id + ", 1);"));
+            let factory = new Function("module", "exports", output),
+                exports = {};
+            factory({ exports }, exports);
+            test._("Dynamically imported modules are not evaluated when the bundle is loaded").equals(exports.log, []);
+            return exports.load().then(ns => {
+                test._("Dynamically imported modules are evaluated by import()")
+                    .equals(exports.log, ["target"])
+                    .equals(ns.default, "target");
+            });
+        });
+    },
+
+    "Top-level await" (test) {
+        let run = options => bundle(resolve("./await-root.js"), options).then(output => {
+            let factory = new Function("module", "exports", output),
+                exports = {};
+            factory({ exports }, exports);
+            test._("The bundle exposes a promise for its completion").assert(exports.__ready instanceof Promise);
+            test._("Exports are assigned when the module is ready").equals(exports.result, undefined);
+            return exports.__ready.then(() => {
+                test._("Modules which import a module with top-level await are evaluated after it is ready")
+                    .equals(exports.log, ["dep", "dep ready", "root 1"])
+                    .equals(exports.result, 2);
+            });
+        });
+        return run({}).then(() => run({ generators: true }));
+    },
+
+    "Import meta" (test) {
+        return bundle(resolve("./meta.js")).then(output => {
+            let url = file => pathToFileURL(resolve(file)).href,
+                factory = new Function("module", "exports", output),
+                exports = {};
+            test._("Literal specifiers are located when the bundle is built").assert(!output.includes("resolve('pkg2')"));
+            factory({ exports }, exports);
+            test._("Values are computed from the module path")
+                .equals(exports.url, url("./meta.js"))
+                .equals(exports.dirname, __dirname);
+            test._("Specifiers are resolved with the module locator")
+                .equals(exports.local, url("./a.js"))
+                .equals(exports.pkg, url("./node_modules/pkg2/main.js"))
+                .equals(exports.builtin, "node:fs");
+            test._("Other specifiers are resolved relative to the module URL")
+                .equals(exports.resolve("./b.js"), url("./b.js"));
+        });
+    },
+
+    "Live exports" (test) {
+        return bundle(resolve("./live-root.js"), { liveExports: true }).then(output => {
+            let factory = new Function("module", "exports", output),
+                exports = {};
+            factory({ exports }, exports);
+            test._("Imported classes can be constructed").equals(exports.construct(), "k");
+            test._("Imported bindings observe updates").equals(exports.next(), 1).equals(exports.next(), 2);
+        });
+    },
+
+    "Ambiguous export-all declarations reject" (test) {
+        test._("Ambiguous names result in a rejected promise");
+        return bundle(resolve("./ambiguous.js")).then(_=> test.assert(false), _=> test.assert(true));
+    },
+
 });
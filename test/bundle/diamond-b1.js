@@ -0,0 +1 @@
+export { x } from "./diamond-c.js";
@@ -0,0 +1,2 @@
+import { x } from "./diamond-c.js";
+export { x };
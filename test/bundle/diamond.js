@@ -0,0 +1,2 @@
+export * from "./diamond-b1.js";
+export * from "./diamond-b2.js";
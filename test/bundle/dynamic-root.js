@@ -0,0 +1,7 @@
+import { log } from './dynamic-log.js';
+
+export { log };
+
+export function load() {
+  return import('./dynamic-target.js');
+}
@@ -0,0 +1,5 @@
+import { log } from './dynamic-log.js';
+
+log.push('target');
+
+export default 'target';
@@ -1,4 +1,4 @@
-var __M; (function(a) { var list = Array(a.length / 2); __M = function(i, es) { var m = list[i], f, e; if (typeof m === "function") { f = m; m = i ? { exports: {} } : module; f(list[i] = m, m.exports); e = m.exports; m.__es = Object(e) !== e || e.constructor === Object ? e : Object.create(e, { "default": { value: e } }); } return es ? m.__es : m.exports; }; for (var i = 0; i < a.length; i += 2) { var j = Math.abs(a[i]); list[j] = a[i + 1]; if (a[i] >= 0) __M(j); } })([
+var __M; (function(a) { var list = Array(a.length / 2); __M = function(i, es) { var m = list[i], f, e; if (typeof m === "function") { f = m; m = i ? { exports: {} } : module; list[i] = m; m.__es = m.exports; f(m, m.exports); e = m.exports; m.__es = Object(e) !== e || e.constructor === Object ? e : Object.create(e, { "default": { value: e } }); } return es ? m.__es : m.exports; }; var ready = null; function wait(j) { var e = __M(j); return e && e.__ready !== ready && e.__ready || null; } function init(j) { ready = ready ? ready.then(function() { return wait(j); }) : wait(j); } for (var i = 0; i < a.length; i += 2) list[Math.abs(a[i])] = a[i + 1]; for (var i = 0; i < a.length; i += 2) if (a[i] >= 0) init(a[i]); if (ready) Object.defineProperty(module.exports, "__ready", { value: ready, configurable: true }); })([
 1, function(m) { m.exports = require("fs") },
 -6, function(module, exports) {
 
@@ -48,7 +48,7 @@ return;
 },
 0, function(module, exports) {
 
-'use strict'; // root.js
+'use strict'; __M(1, 1); __M(2, 1); // root.js
 var FS = __M(1, 1);
 var pkg2 = __M(2, 1);
 
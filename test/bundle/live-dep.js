@@ -0,0 +1,9 @@
+export let count = 0;
+
+export function increment() {
+  count += 1;
+}
+
+export class K {
+  constructor() { this.v = 'k'; }
+}
@@ -0,0 +1,10 @@
+import { K, count, increment } from './live-dep.js';
+
+export function construct() {
+  return new K().v;
+}
+
+export function next() {
+  increment();
+  return count;
+}
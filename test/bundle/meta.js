@@ -0,0 +1,9 @@
+export const url = import.meta.url;
+export const dirname = import.meta.dirname;
+export const local = import.meta.resolve('./a.js');
+export const pkg = import.meta.resolve('pkg2');
+export const builtin = import.meta.resolve('fs');
+
+export function resolve(specifier) {
+  return import.meta.resolve(specifier);
+}
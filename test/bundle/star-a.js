@@ -0,0 +1,2 @@
+export let a = "a", shared = "a";
+export default "a";
@@ -0,0 +1 @@
+export let b = "b", shared = "b";
@@ -0,0 +1,268 @@
+export const tests = {
+
+  'class expressions'(test) {
+    class A { constructor(x) { this.x = x; } }
+    let B = class extends A { foo() { return this.x; } };
+    let b = new B(1);
+
+    test._('class expressions can extend a base class')
+      .equals(b.foo(), 1)
+      .equals(b instanceof A, true);
+  },
+
+  'default constructors'(test) {
+    class A { constructor(x, y) { this.sum = x + y; } }
+    class B extends A {}
+
+    test._('default constructors pass arguments to the base constructor')
+      .equals(new B(1, 2).sum, 3);
+  },
+
+  'builtin base classes'(test) {
+    class E extends Error {}
+    class M extends Map { double(key) { return this.get(key) * 2; } }
+    let e = new E('message');
+    let m = new M([['a', 1]]);
+
+    test._('Error can be subclassed')
+      .equals(e.message, 'message')
+      .equals(e instanceof E, true)
+      ._('Map can be subclassed')
+      .equals(m.double('a'), 2)
+      .equals(m instanceof M, true);
+  },
+
+  'accessor pairs'(test) {
+    let key = 'value';
+    let stored = 0;
+
+    class A {
+      get x() { return stored; }
+      set x(value) { stored = value; }
+      static get [key]() { return stored * 2; }
+      static set [key](value) { stored = value / 2; }
+    }
+
+    let a = new A();
+    a.x = 3;
+    A.value = 10;
+
+    test._('separately defined getters and setters are combined')
+      .equals(typeof Object.getOwnPropertyDescriptor(A.prototype, 'x').set, 'function')
+      .equals(a.x, 5)
+      .equals(A.value, 10);
+  },
+
+  'super property calls'(test) {
+    class A {
+      format(x) { return this.prefix + x; }
+      static make(x) { return this.name + x; }
+    }
+
+    class B extends A {
+      constructor() { super(); this.prefix = '#'; }
+      format(x) { return '[' + x + ']'; }
+      direct(x) { return super.format(x); }
+      all(items) { return items.map(x => super.format(x)); }
+      nested(items) { return items.map(x => [x].map(y => super.format(y))[0]); }
+      static make(x) { return (() => super.make(x))(); }
+    }
+
+    let b = new B();
+
+    test._('super calls use the base class method')
+      .equals(b.direct(1), '#1')
+      ._('super calls within arrow functions use the method receiver')
+      .equals(b.all([1, 2]).join(), '#1,#2')
+      .equals(b.nested([3])[0], '#3')
+      .equals(B.make(4), 'B4');
+  },
+
+  'super property calls through multiple levels'(test) {
+    class A {
+      m() { return 'A'; }
+      static s() { return 'A'; }
+    }
+
+    class B extends A {
+      m() { return super.m() + 'B'; }
+      static s() { return super.s() + 'B'; }
+    }
+
+    class C extends B {
+      m() { return super.m() + 'C'; }
+      static s() { return super.s() + 'C'; }
+    }
+
+    test._('each super call uses the method of the next base class')
+      .equals(new C().m(), 'ABC')
+      .equals(C.s(), 'ABC');
+  },
+
+  'super in object literals'(test) {
+    let protos = [{ who() { return 'p0'; } }, { who() { return 'p1'; } }];
+    let objects = [];
+
+    for (let i = 0; i < protos.length; i++) {
+      objects.push({
+        __proto__: protos[i],
+        who() { return super.who(); },
+        get name() { return super.who(); },
+        ['computed']() { return super.who(); },
+      });
+    }
+
+    let mixin = { who() { return 'mixin ' + super.who(); } };
+    Object.setPrototypeOf(mixin, protos[1]);
+
+    test._('each object refers to its own prototype')
+      .equals(objects.map(o => o.who()), ['p0', 'p1'])
+      .equals(objects.map(o => o.name), ['p0', 'p1'])
+      .equals(objects.map(o => o.computed()), ['p0', 'p1'])
+      ._('the prototype is looked up when the method is called')
+      .equals(mixin.who(), 'mixin p1');
+  },
+
+  'new.target'(test) {
+    class Shape {
+      constructor() {
+        if (new.target === Shape)
+          throw new Error('abstract');
+      }
+    }
+
+    class Circle extends Shape {
+      constructor() { super(); this.target = new.target; }
+    }
+
+    function F() { return new.target; }
+
+    let error = null;
+    try { new Shape(); } catch (e) { error = e; }
+
+    test._('new.target refers to the constructor called with new')
+      .equals(error && error.message, 'abstract')
+      .equals(new Circle().target, Circle)
+      .equals(F(), undefined);
+  },
+
+  'class fields'(test) {
+    let log = [];
+    let key = 'named';
+
+    class A {
+      constructor() { log.push('A'); this.base = 1; }
+    }
+
+    class B extends A {
+      x = (log.push('x'), this.base + 1);
+      [key] = 'computed';
+      [key + 2];
+      static count = 2;
+      static double = this.count * 2;
+
+      constructor() {
+        log.push('B');
+        super();
+        log.push('B ' + this.x);
+      }
+    }
+
+    class C extends B {
+      y = this.x + 1;
+    }
+
+    let b = new B();
+
+    test._('instance fields are initialized after super() returns')
+      .equals(log.join(), 'B,A,x,B 2')
+      .equals(new C().y, 3)
+      ._('computed field names are evaluated once, when the class is defined')
+      .equals(b.named, 'computed')
+      .equals('named2' in b, true)
+      .equals(b.named2, undefined);
+
+    key = 'other';
+
+    test
+      .equals(new B().named, 'computed')
+      ._('static fields are defined on the constructor, with the class as "this"')
+      .equals(Object.prototype.hasOwnProperty.call(B, 'count'), true)
+      .equals(B.double, 4)
+      .equals(Object.prototype.hasOwnProperty.call(C, 'count'), false);
+  },
+
+  'private members'(test) {
+    class Counter {
+      #count = 0;
+      static #instances = 0;
+
+      constructor() { Counter.#instances++; }
+
+      get #double() { return this.#count * 2; }
+      #increment() { return ++this.#count; }
+
+      add() { this.#increment(); return this; }
+      get double() { return this.#double; }
+      static get instances() { return Counter.#instances; }
+      static isCounter(obj) { return #count in obj; }
+      static countOf(obj) { return obj?.#count; }
+      static read(obj) { return obj.#count; }
+      static write(obj) { obj.#count = 1; }
+    }
+
+    let counter = new Counter().add().add();
+    new Counter();
+
+    test._('private fields, methods and accessors are available within the class')
+      .equals(counter.double, 4)
+      .equals(Counter.countOf(counter), 2)
+      .equals(Counter.countOf(null), undefined)
+      ._('static private fields are stored on the class')
+      .equals(Counter.instances, 2)
+      ._('private names are not properties')
+      .equals(Object.keys(counter).length, 0)
+      .equals('#count' in counter, false)
+      ._('#x in obj tests whether an object has a private field')
+      .equals(Counter.isCounter(counter), true)
+      .equals(Counter.isCounter({}), false)
+      ._('accessing a private member of a foreign object throws a TypeError')
+      .throws(() => Counter.read({}), TypeError)
+      .throws(() => Counter.write({}), TypeError);
+  },
+
+  'static blocks'(test) {
+    let log = [];
+    var name = 'outer';
+
+    class A {
+      static id = 'A';
+    }
+
+    class B extends A {
+      static x = (log.push('x'), 1);
+
+      static {
+        var name = 'inner';
+        let y = this.x + 1;
+        log.push('block ' + y);
+        this.y = y;
+      }
+
+      static z = (log.push('z'), this.y + 1);
+
+      static {
+        log.push('super ' + super.id);
+      }
+    }
+
+    test._('static blocks are evaluated in order with static fields')
+      .equals(log.join(), 'x,block 2,z,super A')
+      ._('"this" within a static block is the class')
+      .equals(B.y, 2)
+      .equals(B.z, 3)
+      ._('variables declared within a static block are local to the block')
+      .equals(name, 'outer');
+  },
+
+};
@@ -3,12 +3,23 @@
 import { runTests } from 'moon-unit';
 import { tests as arrowTests } from './arrow-functions.js';
 import { tests as computed } from './computed.js';
+import { tests as classTests } from './classes.js';
 import { tests as destructuringTests } from './destructuring.js';
 import { tests as templateTests } from './templates.js';
 import { tests as restTests } from './rest-spread.js';
 import { tests as defaultTests } from './default-params.js';
 import { tests as moduleTests } from './import-export.js';
 import { tests as objectSpread } from './object-spread.js';
+import { tests as loopTests } from './loops.js';
+import { tests as regExpTests } from './regexp.js';
+import { tests as optionalTests } from './optional-chaining.js';
+import { tests as operatorTests } from './operators.js';
+import { tests as unicodeTests } from './unicode.js';
+import { tests as generatorTests } from './generators.js';
+
+// The main function is called after the module's top-level await expressions
+// have been evaluated
+const { tests: awaitTests } = await import('./top-level-await.js');
 
 export function main() {
 
@@ -16,12 +27,20 @@ export function main() {
 
         'Arrow Functions': arrowTests,
         'Computed Properties': computed,
+        'Classes': classTests,
         'Object Spread': objectSpread,
         'Destructuring': destructuringTests,
         'Templates': templateTests,
         'Rest and Spread': restTests,
         'Default Params': defaultTests,
         'Import/Export': moduleTests,
+        'Loops': loopTests,
+        'Regular Expressions': regExpTests,
+        'Optional Chaining': optionalTests,
+        'Operators': operatorTests,
+        'Unicode': unicodeTests,
+        'Generator Lowering': generatorTests,
+        'Top-Level Await': awaitTests,
 
     });
 }
@@ -52,4 +52,21 @@ export var tests = {
     ({ charAt: a } = 'foo');
     test._('to object conversion').equals(a, String.prototype.charAt);
   },
+
+  'object rest'(test) {
+    let source = { a: 1, b: 2, c: 3 };
+    let { a, ...rest } = source;
+    test._('declaration').equals(a, 1).equals(rest, { b: 2, c: 3 });
+
+    let key = 'b', calls = 0;
+    let { [(calls++, key)]: b, ...others } = source;
+    test._('computed keys are excluded').equals(b, 2).equals(others, { a: 1, c: 3 });
+    test._('computed keys are evaluated once').equals(calls, 1);
+
+    let symbol = Symbol('s');
+    let hidden = Object.defineProperty({ [symbol]: 4 }, 'x', { value: 5, enumerable: false });
+    ({ ...rest } = hidden);
+    test._('symbols are copied').equals(rest[symbol], 4);
+    test._('non-enumerable properties are skipped').assert(!('x' in rest));
+  },
 };
@@ -0,0 +1,262 @@
+import { translate } from '../../src/Translator.js';
+
+// Evaluates the source of a function with generators and async functions
+// translated into state machines by default.  Sources are kept as strings so that they are
+// not translated along with this module, and are evaluated as strict code.
+function lower(source, options) {
+  options = Object.assign({ generators: true }, options);
+  return (0, eval)(`'use strict'; ${ translate(`(${ source })`, options) }`);
+}
+
+function drain(iter, send = []) {
+  let log = [];
+  let result;
+
+  for (let i = 0; !(result = iter.next(send[i])).done; ++i)
+    log.push(result.value);
+
+  log.push('return ' + result.value);
+  return log.join();
+}
+
+const tryFinally = `
+function* tryFinally(log) {
+  try {
+    yield 1;
+    yield 2;
+  } finally {
+    log.push('finally');
+    yield 3;
+  }
+}`;
+
+const catchThrown = `
+function* catchThrown(log) {
+  for (let i = 0; i < 3; ++i) {
+    try {
+      yield i;
+    } catch (x) {
+      log.push('caught ' + x);
+    }
+  }
+}`;
+
+const labels = `
+function* labels() {
+  outer: for (let i = 0; i < 3; ++i) {
+    for (let j = 0; j < 3; ++j) {
+      if (j === 1) continue outer;
+      if (i === 2) break outer;
+      yield i + ':' + j;
+    }
+  }
+  return 'done';
+}`;
+
+const inner = `
+function* inner(x) {
+  let y = yield x;
+  return y * 2;
+}`;
+
+const delegate = `
+function* delegate(inner) {
+  let a = yield* inner(1);
+  let b = yield* inner(a);
+  return a + b;
+}`;
+
+const context = `
+function* context() {
+  yield this.name;
+  yield arguments.length;
+  yield arguments[1];
+}`;
+
+const astral = `
+function* astral() {
+  let \u{20BB7} = 1;
+  yield \u{20BB7};
+}`;
+
+const awaitValues = `
+async function awaitValues(list) {
+  let sum = 0;
+
+  for (let i = 0; i < list.length; ++i) {
+    try {
+      sum += await list[i];
+    } catch (x) {
+      sum += 100;
+    }
+  }
+
+  return sum;
+}`;
+
+const asyncValues = `
+async function* asyncValues() {
+  yield 1;
+  yield await Promise.resolve(2);
+  yield Promise.resolve(3);
+}`;
+
+const forAwait = `
+async function forAwait(source) {
+  let log = [];
+
+  for await (let x of source())
+    log.push(x);
+
+  for await (let x of [Promise.resolve(4), 5])
+    log.push(x);
+
+  return log.join();
+}`;
+
+const whileBindings = `
+function* whileBindings(fns) {
+  let i = 0;
+
+  while (i < 2) {
+    let x = i++;
+    yield;
+    fns.push(() => x);
+  }
+
+  do {
+    let y = i++;
+    yield;
+    fns.push(() => y);
+  } while (i < 4);
+}`;
+
+const forAwaitClose = `
+async function forAwaitClose(log, exit) {
+  let count = 0;
+  let source = {
+    [Symbol.asyncIterator]() { return this; },
+    next() { return Promise.resolve({ value: count++, done: false }); },
+    return() {
+      return Promise.resolve().then(() => {
+        log.push('return');
+        return { done: true };
+      });
+    },
+  };
+
+  for await (let x of source) {
+    if (x < 1) continue;
+    if (exit === 'break') break;
+    if (exit === 'return') return 'returned';
+    throw new Error('thrown');
+  }
+
+  log.push('after');
+}`;
+
+export const tests = {
+
+  'try and finally'(test) {
+    let log = [];
+    let iter = lower(tryFinally)(log);
+
+    test._('finally blocks run after the try block completes')
+      .equals(drain(iter), '1,2,3,return undefined')
+      .equals(log, ['finally']);
+
+    log = [];
+    iter = lower(tryFinally)(log);
+    iter.next();
+
+    test._('return() runs finally blocks, which may yield')
+      .equals(iter.return('x'), { value: 3, done: false })
+      .equals(iter.next(), { value: 'x', done: true })
+      .equals(log, ['finally']);
+  },
+
+  'throw()'(test) {
+    let log = [];
+    let iter = lower(catchThrown)(log);
+
+    test._('exceptions thrown into the generator are caught at the yield')
+      .equals(iter.next().value, 0)
+      .equals(iter.throw('a').value, 1)
+      .equals(iter.next().value, 2)
+      .equals(log, ['caught a']);
+
+    iter = lower(catchThrown)([]);
+    test._('throw() before the generator starts completes the generator')
+      .throws(() => iter.throw(new Error('b')))
+      .equals(iter.next(), { value: undefined, done: true });
+  },
+
+  'labelled break and continue'(test) {
+    test._('jumps to labelled loops resume at the correct state')
+      .equals(drain(lower(labels)()), '0:0,1:0,return done');
+  },
+
+  'yield* return values'(test) {
+    let iter = lower(delegate)(lower(inner));
+
+    test._('yield* evaluates to the return value of the delegate')
+      .equals(drain(iter, [undefined, 3, 4]), '1,6,return 14');
+  },
+
+  'arguments and this'(test) {
+    let iter = lower(context).call({ name: 'self' }, 'a', 'b');
+
+    test._('this and arguments refer to the generator call')
+      .equals(drain(iter), 'self,2,b,return undefined');
+  },
+
+  'astral identifiers'(test) {
+    test._('variables with astral names are declared in the outer function')
+      .equals(drain(lower(astral)()), '1,return undefined');
+  },
+
+  'bindings in while loop bodies'(test) {
+    let fns = [];
+    drain(lower(whileBindings)(fns));
+
+    test._('closures capture a separate binding for each iteration')
+      .equals(fns.map(f => f()).join(), '0,1,2,3');
+  },
+
+  async 'await'(test) {
+    let result = await lower(awaitValues)([1, Promise.resolve(2), Promise.reject(3), 4]);
+
+    test._('await resumes with fulfilled values and throws rejections')
+      .equals(result, 107);
+  },
+
+  async 'for await'(test) {
+    let result = await lower(forAwait)(lower(asyncValues));
+
+    test._('for await iterates async generators and sync iterables')
+      .equals(result, '1,2,3,4,5');
+  },
+
+  async 'for await in spec mode'(test) {
+    // Loops are also checked when async functions are translated to generators
+    for (let generators of [true, false]) {
+      let run = lower(forAwaitClose, { spec: true, generators });
+      let mode = generators ? 'state machines' : 'generator functions';
+      let log = [];
+
+      await run(log, 'break');
+      test._(`break awaits return() in ${ mode }`).equals(log, ['return', 'after']);
+
+      log = [];
+      test._(`return awaits return() in ${ mode }`)
+        .equals(await run(log, 'return'), 'returned')
+        .equals(log, ['return']);
+
+      log = [];
+      test._(`throw calls return() and rethrows in ${ mode }`)
+        .equals(await run(log, 'throw').then(() => null, e => e.message), 'thrown')
+        .equals(log, ['return']);
+    }
+  },
+
+};
@@ -3,6 +3,8 @@ import { isHoisted } from './import-export-default.js';
 import { a, b, c, C, F } from './import-export-from.js';
 import { legacyRelative } from 'node:./import-export-legacy.js';
 import legacyPackage from 'pkg';
+import * as Path from 'node:path';
+import { pathToFileURL } from 'node:url';
 
 export const tests = {
 
@@ -37,6 +39,45 @@ export const tests = {
       ._('default declarations are hoisted')
       .equals(isHoisted, true)
       ;
+  },
+
+  'dynamic import' (test) {
+      let name = 'import-export-from';
+
+      return Promise.all([
+        import('./import-export-default.js'),
+        import(`./${ name }.js`),
+        import('node:./import-export-legacy.js'),
+        import('./missing.js').then(() => null, err => err),
+      ]).then(([defaultNS, fromNS, legacyNS, err]) => {
+        test
+        ._('import() resolves to the module namespace')
+        .equals(defaultNS.default(), 'default-export')
+        .equals(defaultNS.isHoisted, true)
+        .equals(fromNS.a, 'export-a')
+        ._('non-literal specifiers')
+        .equals(fromNS.F(), 'export-F')
+        ._('legacy modules')
+        .equals(legacyNS.legacyRelative, 'legacy-relative')
+        ._('missing modules reject')
+        .assert(err instanceof Error)
+        ;
+      });
+  },
+
+  'import meta' (test) {
+      let dirname = import.meta.dirname;
+      let url = file => pathToFileURL(Path.join(dirname, file)).href;
+
+      test
+      ._('module location')
+      .equals(import.meta.filename, Path.join(dirname, 'import-export.js'))
+      .equals(import.meta.url, url('import-export.js'))
+      ._('resolve uses the module locator')
+      .equals(import.meta.resolve('./import-export-from.js'), url('import-export-from.js'))
+      .equals(import.meta.resolve('pkg'), url('node_modules/pkg/index.js'))
+      .equals(import.meta.resolve('fs'), 'node:fs')
+      ;
   }
 
 };
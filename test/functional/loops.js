@@ -0,0 +1,131 @@
+export const tests = {
+
+  'per-iteration bindings'(test) {
+    let fns = [];
+
+    for (let i = 0; i < 3; ++i)
+      fns.push(() => i);
+
+    test._('closures capture a separate binding for each iteration')
+      .equals(fns.map(f => f()).join(), '0,1,2');
+  },
+
+  'bindings declared in while loop bodies'(test) {
+    let fns = [];
+    let i = 0;
+
+    while (i < 3) {
+      let x = i++;
+      fns.push(() => x);
+    }
+
+    do {
+      let x = i++;
+      if (x === 4) continue;
+      fns.push(() => x);
+    } while (i < 6);
+
+    test._('closures capture a separate binding for each iteration')
+      .equals(fns.map(f => f()).join(), '0,1,2,3,5');
+  },
+
+  'bindings declared in suspending while loop bodies'(test) {
+    function* gen() {
+      let i = 0;
+
+      while (i < 3) {
+        let x = i++;
+        yield;
+        fns.push(() => x);
+      }
+    }
+
+    let fns = [];
+
+    for (let x of gen());
+
+    test._('each iteration of a loop containing yield has separate bindings')
+      .equals(fns.map(f => f()).join(), '0,1,2');
+  },
+
+  'loop variables updated in the body'(test) {
+    let fns = [];
+
+    for (let i = 0; i < 6; ++i) {
+      fns.push(() => i);
+      i++;
+    }
+
+    test._('changes to the loop variable are carried to the next iteration')
+      .equals(fns.map(f => f()).join(), '1,3,5');
+  },
+
+  'jumps within loop bodies'(test) {
+    function find(list) {
+      let fns = [];
+
+      outer: for (let x of list) {
+        for (let y of list) {
+          fns.push(() => x + y);
+          if (y === 'b') continue outer;
+          if (x === 'c') break outer;
+          if (x === 'b' && y === 'a') return fns.map(f => f()).join();
+        }
+      }
+    }
+
+    test._('break, continue, and return complete the enclosing function')
+      .equals(find(['a', 'b', 'c']), 'aa,ab,ba');
+  },
+
+  'closures in loop heads'(test) {
+    let fns = [];
+
+    for (let i = 0, f = () => i; i < 3; ++i)
+      fns.push(f, () => i);
+
+    test._('closures in the head capture the first iteration')
+      .equals(fns.map(f => f()).join(), '0,0,0,1,0,2');
+  },
+
+  'closures in suspending loop bodies'(test) {
+    function* gen() {
+      for (let i = 0; i < 3; ++i) {
+        let x = yield;
+        fns.push(() => i + x);
+      }
+
+      for (let key in { a: 1, b: 2 }) {
+        yield;
+        fns.push(() => key);
+      }
+
+      for (let [k, v] of [['c', 3]]) {
+        yield;
+        fns.push(() => k + v);
+      }
+    }
+
+    let fns = [];
+    let iter = gen();
+
+    for (let i = 0, r = iter.next(); !r.done; ++i)
+      r = iter.next(i * 10);
+
+    test._('each iteration of a loop containing yield has separate bindings')
+      .equals(fns.map(f => f()).join(), '0,11,22,a,b,c3');
+  },
+
+  async 'closures in loop bodies containing await'(test) {
+    let fns = [];
+
+    for (let i = 0; i < 3; ++i) {
+      await null;
+      fns.push(() => i);
+    }
+
+    test._('each iteration of a loop containing await has separate bindings')
+      .equals(fns.map(f => f()).join(), '0,1,2');
+  },
+
+};
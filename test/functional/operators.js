@@ -0,0 +1,74 @@
+export const tests = {
+
+  'logical assignment' (test) {
+    let calls = 0;
+    let key = () => (calls++, 'k');
+    let obj = { k: 0, n: null };
+
+    obj[key()] ||= 5;
+    obj[key()] &&= obj.k + 1;
+    obj[key()] ??= 7;
+
+    test
+    ._('member targets are evaluated once')
+    .equals(calls, 3)
+    .equals(obj.k, 6)
+    ;
+
+    let a = null;
+    let b = 1;
+    let c = 0;
+
+    test
+    ._('the assignment is made only when the operator does not short-circuit')
+    .equals(a ??= 1, 1)
+    .equals(a ??= 2, 1)
+    .equals(b &&= 0, 0)
+    .equals(b &&= 2, 0)
+    .equals(c ||= 3, 3)
+    .equals(c ||= 4, 3)
+    ;
+
+    let setter = 0;
+    let target = { get x() { return 1; }, set x(v) { setter++; } };
+
+    target.x ||= 2;
+    target.x &&= 2;
+
+    test
+    ._('setters are not called when the operator short-circuits')
+    .equals(setter, 1)
+    ;
+  },
+
+  'exponentiation' (test) {
+    let calls = 0;
+    let obj = { x: 3 };
+
+    obj[(calls++, 'x')] **= 2;
+
+    test
+    ._('the exponent operator is right associative')
+    .equals(2 ** 3 ** 2, 512)
+    .equals((-2) ** 2, 4)
+    ._('member targets are evaluated once')
+    .equals(obj.x, 9)
+    .equals(calls, 1)
+    ;
+  },
+
+  'numeric literals' (test) {
+    test
+    ._('binary and octal literals')
+    .equals(0b1010, 10)
+    .equals(0O17, 15)
+    .equals(0b101.toString(2), '101')
+    ._('numeric separators')
+    .equals(1_000_000, 1000000)
+    .equals(0b1010_1010, 170)
+    .equals(0xFF_FF, 65535)
+    .equals(1_0.2_5e1_0, 102500000000)
+    ;
+  },
+
+};
@@ -0,0 +1,79 @@
+export const tests = {
+
+  'optional chaining' (test) {
+    let calls = 0;
+    let count = () => ++calls;
+    let obj = { a: { b: { c: 1 } }, n: null };
+
+    test
+    ._('member access on null or undefined evaluates to undefined')
+    .equals(obj.n?.b, undefined)
+    .equals(obj.missing?.b, undefined)
+    .equals(obj.a?.b.c, 1)
+    ._('the rest of the chain is skipped when the chain short-circuits')
+    .equals(obj.n?.b.c.d, undefined)
+    .equals(obj.n?.[count()].c, undefined)
+    .equals(obj.n?.b(count()), undefined)
+    .equals(calls, 0)
+    ._('parentheses end the chain')
+    .throws(() => (obj.n?.b).c, TypeError)
+    ._('falsy values which are not null or undefined do not short-circuit')
+    .equals(''?.length, 0)
+    .equals((0)?.toFixed(1), '0.0')
+    ;
+  },
+
+  'optional calls' (test) {
+    let obj = {
+      value: 1,
+      method() { return this.value; },
+      nested: { value: 2, method() { return this.value; } },
+    };
+
+    let get = () => obj;
+
+    test
+    ._('optional calls on members use the member object as "this"')
+    .equals(obj.method?.(), 1)
+    .equals(obj?.method(), 1)
+    .equals(obj.nested?.method(), 2)
+    .equals(get()?.nested.method?.(), 2)
+    ._('optional calls on null or undefined evaluate to undefined')
+    .equals(obj.missing?.(), undefined)
+    .equals(obj.missing?.().value, undefined)
+    ;
+  },
+
+  'optional delete' (test) {
+    let obj = { a: { b: 1 } };
+
+    test
+    ._('delete returns true when the chain short-circuits')
+    .equals(delete obj.missing?.b, true)
+    .equals(delete obj.a?.b, true)
+    .equals('b' in obj.a, false)
+    ;
+  },
+
+  'nullish coalescing' (test) {
+    let calls = 0;
+    let count = () => ++calls;
+
+    test
+    ._('the right operand is used when the left is null or undefined')
+    .equals(null ?? 1, 1)
+    .equals(undefined ?? 1, 1)
+    .equals(0 ?? 1, 0)
+    .equals('' ?? 1, '')
+    .equals(false ?? 1, false)
+    ._('the right operand is not evaluated otherwise')
+    .equals(1 ?? count(), 1)
+    .equals(calls, 0)
+    ._('the left operand is evaluated once')
+    .equals(count() ?? 5, 1)
+    .equals(calls, 1)
+    .equals(null ?? null ?? 2, 2)
+    ;
+  },
+
+};
@@ -0,0 +1,50 @@
+export var tests = {
+
+  'dotAll flag'(test) {
+    test
+      ._('dot matches newlines')
+      .equals(/a.b/s.test('a\nb'), true)
+      ._('dot does not match newlines without the flag')
+      .equals(/a.b/.test('a\nb'), false);
+  },
+
+  'unicode flag'(test) {
+    test
+      ._('dot matches astral code points')
+      .equals('a\u{1F600}b'.replace(/./gu, 'x'), 'xxx')
+      ._('code point escapes')
+      .equals(/^\u{1F600}+$/u.test('\u{1F600}\u{1F600}'), true)
+      ._('astral class ranges')
+      .equals('a\u{1F601}b'.replace(/[\u{1F600}-\u{1F64F}]/gu, '#'), 'a#b')
+      ._('negated classes')
+      .equals('a\u{1F600}'.replace(/[^a]/gu, '#'), 'a#');
+  },
+
+  'named groups'(test) {
+    let match = /(?<year>\d{4})-(?<month>\d{2})/.exec('2024-05');
+
+    test
+      ._('groups are numbered')
+      .equals(match[2], '05')
+      ._('groups object')
+      .equals([match.groups.year, match.groups.month], ['2024', '05'])
+      ._('backreferences')
+      .equals(/(?<q>['"]).*\k<q>/.test('"a"'), true)
+      ._('replacement patterns')
+      .equals('2024-05'.replace(/(?<y>\d+)-(?<m>\d+)/, '$<m>/$<y>'), '05/2024')
+      ._('replacement patterns followed by digits')
+      .equals('abcdefghij'.replace(/(?<a>a)(b)(c)(d)(e)(f)(g)(h)(i)(j)/, '$<a>0'), 'a0');
+  },
+
+  'named groups in copied expressions'(test) {
+    let re = /(?<digit>\d)/g;
+
+    test
+      ._('matchAll attaches groups')
+      .equals(Array.from('a1b2'.matchAll(re), m => m.groups.digit), ['1', '2'])
+      ._('split includes captures')
+      .equals('a1b2c'.split(re), ['a', '1', 'b', '2', 'c'])
+      ._('the constructor is restored')
+      .equals(re.constructor, RegExp);
+  },
+};
@@ -0,0 +1 @@
+export let dep = await new Promise(resolve => setTimeout(() => resolve('dep'), 10));
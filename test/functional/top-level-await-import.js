@@ -0,0 +1,3 @@
+import { dep } from './top-level-await-dep.js';
+
+export let seen = dep;
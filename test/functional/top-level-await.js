@@ -0,0 +1,20 @@
+import { seen } from './top-level-await-import.js';
+
+export let log = ['start'];
+export let value = await Promise.resolve(1);
+
+log.push('ready');
+
+export const tests = {
+
+  'top-level await' (test) {
+    test
+    ._('import() waits for the module body to complete')
+    .equals(log, ['start', 'ready'])
+    .equals(value, 1)
+    ._('static imports wait for dependencies which use top-level await')
+    .equals(seen, 'dep')
+    ;
+  },
+
+};
@@ -0,0 +1,27 @@
+export const tests = {
+
+  'code point escapes' (test) {
+    test
+    ._('strings and templates')
+    .equals('\u{1F600}', '😀')
+    .equals(`\u{1F600}${ '' }`, '😀')
+    ;
+  },
+
+  'astral identifiers' (test) {
+    var 𠮷 = 1;
+    var _u20BB7 = 2;
+    let \u{1D465} = 3;
+    let obj = { 𝑥, _u1D465: 4 };
+
+    test
+    ._('renamed variables do not collide with other names')
+    .equals([𠮷, _u20BB7], [1, 2])
+    .equals(𝑥, 3)
+    ._('property names are not renamed')
+    .equals(Object.keys(obj), ['𝑥', '_u1D465'])
+    .equals(obj.𝑥, 3)
+    ;
+  },
+
+};
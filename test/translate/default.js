@@ -13,6 +13,57 @@ function statPath(path) {
   return false;
 }
 
+// Decodes the mappings of a version 3 source map into a list of segments for
+// each generated line, with absolute columns and original positions
+function decodeMappings(mappings) {
+  let digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  let line = 0;
+  let column = 0;
+
+  return mappings.split(';').map(text => {
+    let generated = 0;
+
+    return text.split(',').filter(Boolean).map(segment => {
+      let values = [];
+      let value = 0;
+      let shift = 0;
+
+      for (let c of segment) {
+        let digit = digits.indexOf(c);
+        value += (digit & 31) << shift;
+        shift += 5;
+
+        if (!(digit & 32)) {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      generated += values[0];
+      line += values[2];
+      column += values[3];
+
+      return { generated, line, column };
+    });
+  });
+}
+
+// Returns the original position of the last segment at or before a generated
+// position
+function originalPosition(lines, output, offset) {
+  let before = output.slice(0, offset).split('\n');
+  let column = before[before.length - 1].length;
+  let found = null;
+
+  lines[before.length - 1].forEach(segment => {
+    if (segment.generated <= column)
+      found = segment;
+  });
+
+  return found && { line: found.line, column: found.column };
+}
+
 function getFilePaths(dir) {
   return FS
     .readdirSync(dir)
@@ -44,7 +95,13 @@ export function main(args) {
       try {
         inputFiles.forEach(path => {
           let input = FS.readFileSync(path, 'utf8');
-          let output = translate(input, { noWrap: true, module: true });
+          let options = { noWrap: true, module: true };
+          let optionsPath = path.replace(/\.js$/, '.json');
+
+          if (FS.existsSync(optionsPath))
+            Object.assign(options, JSON.parse(FS.readFileSync(optionsPath, 'utf8')));
+
+          let output = translate(input, options);
           let expected = FS.readFileSync(path.replace(/\.js$/, '.out.js'), 'utf8');
           let ok = output === expected;
 
@@ -65,6 +122,20 @@ export function main(args) {
       }
     },
 
+    'Source maps' (test) {
+      let input = FS.readFileSync(__dirname + '/input/source-map.js', 'utf8');
+      let result = {};
+      let output = translate(input, { module: true, sourceMap: true, result });
+      let lines = decodeMappings(result.map.mappings);
+
+      test
+        ._('Positions after the module header')
+        .equals(originalPosition(lines, output, output.indexOf('add = function')), { line: 0, column: 6 })
+        ._('Positions after replaced text on the same line')
+        .equals(originalPosition(lines, output, output.lastIndexOf('this.y')), { line: 4, column: 40 })
+        ;
+    },
+
   });
 
 }
@@ -0,0 +1,11 @@
+async function f(x) {
+  let y = await g(x);
+  return y + 1;
+}
+
+let h = async x => await x;
+
+async function loop(list) {
+  for await (let x of list)
+    console.log(x);
+}
@@ -0,0 +1,11 @@
+function f(x) { var y; return _esdown.async(_esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: 
+  __g.n = 1; return g(x);  case 1: y = __g.sent; 
+  return __g.abrupt('return', y + 1);  default: return __g.stop(); } }, this)); }
+
+
+var h = function(x) { return _esdown.async(_esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: __g.n = 1; return x;  case 1: return __g.abrupt('return', __g.sent);  default: return __g.stop(); } }, this)); };
+
+function loop(list) { var __$0, __$1; var x$0; return _esdown.async(_esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: 
+  __$0 = _esdown.asyncIter(list);  case 1: __g.n = 2; return __$0.next();  case 2: __$1 = __g.sent; if (__$1.done) { __g.n = 5; break; } if (!(__$1.value && typeof __$1.value.then === 'function')) { __g.n = 4; break; } __g.n = 3; return __$1.value;  case 3: __$1.value = __g.sent;  case 4: x$0 = __$1.value; console.log(x$0); __g.n = 1; break;  case 5:  default: return __g.stop(); } }, this)); }
+
+
@@ -34,3 +34,7 @@ class B extends A {
 (class C {});
 
 new class {};
+
+var D = class extends B {
+  foo() { return super.foo(); }
+};
@@ -20,10 +20,10 @@ var A = _esdown.class(function(__, __static) { var A;
  });
 
 var B = _esdown.class(A, function(__, __static, __super, __base) { var B;
-  __({ constructor: B = function() {
-    __base.call(this, 1);
-    __super.foo.call(this);
-  }});
+  __({ constructor: B = function() { var __this = this;
+    (__this = _esdown.construct(__base, [1], __this));
+    __super.foo.call(__this);
+  return __this; }});
 
   __static({ x: function() {
     __base.x.call(this);
@@ -34,3 +34,7 @@ var B = _esdown.class(A, function(__, __static, __super, __base) { var B;
 ((function() { var C = _esdown.class(function(__) { var C; __({ constructor: C = function() {} }); }); return C; }()));
 
 new (_esdown.class(function(__) { __({ constructor: function() {} }); }));
+
+var D = (_esdown.class(B, function(__, __static, __super, __base) { __({ constructor: function() { return _esdown.construct(__base, arguments, this); } });
+  __({ foo: function() { return __super.foo.call(this); }});
+ }));
@@ -25,3 +25,6 @@ function f({a, b: c} = d) {}
 
 try { x() }
 catch ([m]) {}
+
+try { x() }
+catch {}
@@ -25,3 +25,6 @@ function f(__$0) { var __$1; if (__$0 === void 0) __$0 = d; var a = (__$1 = _esd
 
 try { x() }
 catch (__$27) { var m$0 = (__$28 = _esdown.arrayd(__$27), __$28.at(1, 0));  }
+
+try { x() }
+catch (__$29) {}
@@ -0,0 +1,3 @@
+import('./a.js').then(ns => ns.default);
+let name = 'b';
+export function load() { return import(`./${ name }.js`); }
@@ -0,0 +1,5 @@
+exports.load = load; function __import(e) { return Object(e) !== e || e.constructor === Object ? e : Object.create(e, { "default": { value: e } }); } _esdown.dynamicImport('./a.js', function(__s) { return __import(require(__s)); }).then(function(ns) { return ns.default; });
+var name = 'b';
+function load() { return _esdown.dynamicImport('./' + (name) + '.js', function(__s) { return __import(require(__s)); }); }
+
+exports.load = load;
@@ -0,0 +1,8 @@
+x = a ** b;
+x = a ** b ** c;
+x = (a ** b) ** c;
+x = a * b ** -c;
+
+x **= 2;
+obj.x **= 2;
+obj[key()] **= 2;
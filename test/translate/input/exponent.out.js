@@ -0,0 +1,8 @@
+var __$0, __$1, __$2; x = Math.pow(a, b);
+x = Math.pow(a, Math.pow(b, c));
+x = Math.pow((Math.pow(a, b)), c);
+x = a * Math.pow(b, -c);
+
+(x = Math.pow(x, 2));
+(__$0 = obj, __$0.x = Math.pow(__$0.x, 2));
+(__$1 = obj, __$2 = key(), __$1[__$2] = Math.pow(__$1[__$2], 2));
@@ -1,4 +1,4 @@
-var __$0; function A() {}
+exports.A = A; exports.B = B; exports.C = C; exports.D = C; exports.default = __default; var __$0; function A() {}
 var X, Y;
 var J = (__$0 = _esdown.objd(obj), __$0.J), K = __$0.K;
 
@@ -10,11 +10,11 @@ function C() {}
 
 
 
-Object.keys(_M0).forEach(function(k) { exports[k] = _M0[k]; });
+Object.keys(_M0).forEach(function(k) { if (k !== "default") exports[k] = _M0[k]; });
 
 function F() {}
 var G = _esdown.class(function(__) { var G; __({ constructor: G = function() {} }); });
-exports['default'] = function() {};
+function __default() {}
 exports['default'] = (_esdown.class(function(__) { __({ constructor: function() {} }); }));
 exports['default'] = 1 + 1;
 
@@ -29,6 +29,6 @@ exports.K = K;
 exports.B = B;
 exports.C = C;
 exports.D = C;
-exports.default = G;
+exports.default = __default;
 exports.m = _M0['default'];
 exports.all = _M0;
@@ -0,0 +1,18 @@
+function* range(start, end) {
+  for (let i = start; i < end; ++i)
+    yield i;
+}
+
+function* delegate(list) {
+  try {
+    let x = yield* list;
+    return x;
+  } finally {
+    console.log('done');
+  }
+}
+
+function* strict() {
+  'use strict';
+  yield this;
+}
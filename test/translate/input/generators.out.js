@@ -0,0 +1,18 @@
+function range(start, end) { var i$0; return _esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: 
+  i$0 = start;  case 1: if (!(i$0 < end)) { __g.n = 4; break; } __g.n = 2; return i$0;  case 2:  case 3: ++i$0; __g.n = 1; break;  case 4:  default: return __g.stop(); } }, this); }
+
+
+
+function delegate(list) { var x$0; return _esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: 
+   case 1: __g.p = 1; 
+    __g.n = 2; return __g.delegate(list);  case 2: x$0 = __g.sent; 
+    return __g.abrupt('return', x$0); __g.n = 3; break;  case 3: {
+    console.log('done');
+  } return __g.finish(3);  case 4:  default: return __g.stop(); } }, this, [[1, , 3, 4]]); }
+
+
+
+function strict() { 'use strict'; return _esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: 
+  __g.n = 1; return this;  case 1:  default: return __g.stop(); } }, this); }
+
+
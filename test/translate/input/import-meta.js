@@ -0,0 +1,5 @@
+export const url = import.meta.url;
+
+export function resolve(specifier) {
+  return import.meta.resolve(specifier);
+}
@@ -0,0 +1,8 @@
+exports.resolve = resolve; var __$0 = _esdown.importMeta(typeof __filename === 'string' && __filename, typeof require === 'function' && require); var url = __$0.url;
+
+function resolve(specifier) {
+  return __$0.resolve(specifier);
+}
+
+exports.url = url;
+exports.resolve = resolve;
@@ -1,16 +1,16 @@
 import { A } from "Z.js";
-import { A, B } from "Z.js";
+import { E, F } from "Z.js";
 import { C as C2, D as D2 } from "Z.js";
 import * as B from "B.js";
 import {
-  A,
-  B,
+  G,
+  H,
 } from "A.js";
-import { A }
+import { I }
     from "A.js";
 ;
 import {} from "A.js";
 import x from "A.js";
 import "C.js";
 import y, * as all from "A.js";
-import y, { z } from "A.js";
+import w, { z } from "A.js";
@@ -1,16 +1,16 @@
 var A = _M0.A;
-var A = _M0.A, B = _M0.B;
+var E = _M0.E, F = _M0.F;
 var C2 = _M0.C, D2 = _M0.D;
 var B = _M1;
-var A = _M2.A,
-  B = _M2.B;
+var G = _M2.G,
+  H = _M2.H;
 
 
-var A = _M2.A;
+var I = _M2.I;
 
 ;
 
 var x = _M2['default'];
 
 var y = _M2['default']; var all = _M2;
-var y = _M2['default']; var z = _M2.z;
+var w = _M2['default']; var z = _M2.z;
@@ -0,0 +1,18 @@
+for (let x of list) {
+    if (x) break;
+}
+
+outer: for (let x of list) {
+    for (let [a, b] of x) continue outer;
+}
+
+let [a, [b]] = list;
+[a, b] = [b, a];
+
+function f([x, y]) {}
+
+async function g() {
+    for await (let x of list) {
+        if (x) break;
+    }
+}
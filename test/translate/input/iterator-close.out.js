@@ -0,0 +1,18 @@
+var __$2, __$4, __$5, __$6, __$7; try { for (var __$0 = _esdown.iter(list); __$0.next();) { var x$0 = __$0.value; 
+    if (x$0) break;
+} } catch (__$e) { throw _esdown.iterAbort(__$0, __$e); } finally { _esdown.iterClose(__$0); }
+
+try { outer: for (var __$3 = _esdown.iter(list); __$3.next();) { var x$1 = __$3.value; 
+    try { for (var __$1 = _esdown.iter(x$1); __$1.next();) { try { var a$0 = (__$2 = _esdown.arrayd(__$1.value), __$2.at(1, 0)), b$0 = __$2.at(1, 1), __$2 = __$2.close(); } catch (__$e) { throw _esdown.iterAbort(__$2, __$e); } continue outer; } } catch (__$e) { throw _esdown.iterAbort(__$1, __$e); } finally { _esdown.iterClose(__$1); }
+} } catch (__$e) { throw _esdown.iterAbort(__$3, __$e); } finally { _esdown.iterClose(__$3); }
+
+try { var a = (__$4 = _esdown.arrayd(list), __$4.at(1, 0)), b = (__$5 = _esdown.arrayd(__$4.at(1, 1)), __$5.at(1, 0)), __$5 = __$5.close(), __$4 = __$4.close(); } catch (__$e) { throw _esdown.iterAbort(__$5, _esdown.iterAbort(__$4, __$e)); }
+try { (__$6 = [b, a], a = (__$7 = _esdown.arrayd(__$6), __$7.at(1, 0)), b = __$7.at(1, 1), __$7 = __$7.close(), __$6); } catch (__$e) { throw _esdown.iterAbort(__$7, __$e); }
+
+function f(__$0) { var __$1; try { var x = (__$1 = _esdown.arrayd(__$0), __$1.at(1, 0)), y = __$1.at(1, 1), __$1 = __$1.close(); } catch (__$e) { throw _esdown.iterAbort(__$1, __$e); } }
+
+function g() { return _esdown.async(function*() {
+    try { for (var __$0 = _esdown.asyncIterCursor(list); (yield __$0.next());) { var x$2 = __$0.value; 
+        if (x$2) break;
+    } } catch (__$e) { throw (yield _esdown.iterAbort(__$0, __$e)); } finally { (yield _esdown.iterClose(__$0)); }
+}.apply(this, arguments)); }
@@ -0,0 +1,13 @@
+import a, { b, c as d } from "x";
+import * as ns from "y";
+
+export let count = 0;
+export function increment() { count++; }
+export { d as e };
+
+b();
+b`tag`;
+d.f();
+console.log(a, { d }, typeof b);
+
+export * from "z";
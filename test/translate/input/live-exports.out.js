@@ -0,0 +1,13 @@
+Object.defineProperties(exports, { count: { enumerable: true, get: function() { return count; } }, increment: { enumerable: true, get: function() { return increment; } }, e: { enumerable: true, get: function() { return _M0.c; } } }); var __$0 = ['tag'], __$1 = (__$0.raw = __$0.slice(0)); 
+var ns = _M1;
+
+var count = 0;
+function increment() { count++; }
+
+
+(0, _M0.b)();
+((0, _M0.b)(__$0));
+_M0.c.f();
+console.log(_M0['default'], { d: _M0.c }, typeof _M0.b);
+
+_esdown.exportAll(exports, _M2);
@@ -0,0 +1,7 @@
+a &&= b;
+a ||= b;
+a ??= b;
+obj.x ||= 1;
+obj[key()] &&= 1;
+obj[key()] ??= 1;
+(a) ||= b;
@@ -0,0 +1,7 @@
+var __$0, __$1, __$2, __$3, __$4, __$5, __$6; (a && (a = b));
+(a || (a = b));
+((__$0 = a) != null ? __$0 : (a = b));
+(__$1 = obj, __$1.x || (__$1.x = 1));
+(__$2 = obj, __$3 = key(), __$2[__$3] && (__$2[__$3] = 1));
+(__$4 = obj, __$5 = key(), (__$6 = __$4[__$5]) != null ? __$6 : (__$4[__$5] = 1));
+(a || (a = b));
@@ -0,0 +1,11 @@
+for (let i = 0; i < 3; ++i)
+  setTimeout(() => console.log(i));
+
+function find(list, key) {
+  for (let item of list) {
+    var last = item;
+    if (item.key === key) return () => item;
+    if (!item) continue;
+    if (item.done) break;
+  }
+}
@@ -0,0 +1,11 @@
+for (var i$0 = 0; i$0 < 3; ++i$0)
+  { (function(i$1) {setTimeout(function() { return console.log(i$1); });}).call(this, i$0); }
+
+function find(list, key) { var __$0; 
+  for (var __$1 = (list)[Symbol.iterator](), __$2; __$2 = __$1.next(), !__$2.done;) { var item$0 = __$2.value;  var last; __$0 = (function(item$1) {
+    last = item$1;
+    if (item$1.key === key) return { v: function() { return item$1; } };
+    if (!item$1) return;
+    if (item$1.done) return 'break';
+  }).call(this, item$0); if (__$0 === 'break') break; if (typeof __$0 === 'object') return __$0.v; }
+}
@@ -0,0 +1,9 @@
+for (let i = 0, f = () => i; i < 3; ++i)
+  setTimeout(() => console.log(i, f()));
+
+function* gen() {
+  for (let i = 0; i < 3; ++i) {
+    let x = yield;
+    setTimeout(() => console.log(i + x));
+  }
+}
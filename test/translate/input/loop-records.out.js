@@ -0,0 +1,9 @@
+var __$0; for (__$0 = {}, __$0.i = 0, __$0.f = (function(__$0) { return function() { return __$0.i; }; })(__$0), __$0 = { i: __$0.i, f: __$0.f }; __$0.i < 3; __$0 = { i: __$0.i, f: __$0.f }, ++__$0.i)
+  setTimeout((function(__$0) { return function() { return console.log(__$0.i, __$0.f()); }; })(__$0));
+
+function gen() { var __$0; return _esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: 
+  __$0 = {}; __$0.i = 0; __$0 = { i: __$0.i };  case 1: if (!(__$0.i < 3)) { __g.n = 4; break; } 
+    __g.n = 2; return void 0;  case 2: __$0.x = __g.sent; 
+    setTimeout((function(__$0) { return function() { return console.log(__$0.i + __$0.x); }; })(__$0));  case 3: __$0 = { i: __$0.i }; ++__$0.i; __g.n = 1; break;  case 4:  default: return __g.stop(); } }, this); }
+
+
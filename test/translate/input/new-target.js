@@ -0,0 +1,25 @@
+function F() {
+  return new.target;
+}
+
+var G = function() {
+  return () => new.target;
+};
+
+class A {
+  constructor() {
+    if (new.target === A)
+      throw new Error('abstract');
+  }
+
+  foo() {
+    return new.target;
+  }
+}
+
+class B extends A {
+  constructor() {
+    super();
+    this.type = new.target;
+  }
+}
@@ -0,0 +1,25 @@
+function F() {
+  return (this instanceof F ? this.constructor : void 0);
+}
+
+var G = function __target() { var __this = this; 
+  return function() { return (__this instanceof __target ? __this.constructor : void 0); };
+};
+
+var A = _esdown.class(function(__) { var A;
+  __({ constructor: A = function() {
+    if (this.constructor === A)
+      throw new Error('abstract');
+  },
+
+  foo: function() {
+    return void 0;
+  }});
+ });
+
+var B = _esdown.class(A, function(__, __static, __super, __base) { var B;
+  __({ constructor: B = function() { var __this = this;
+    (__this = _esdown.construct(__base, [], __this));
+    __this.type = __this.constructor;
+  return __this; }});
+ });
@@ -0,0 +1,13 @@
+x = 0b1010;
+x = 0B11;
+x = 0o17;
+x = 0O7;
+x = 0xFF;
+x = 0b101.toString(2);
+x = { 0o10: true };
+x = 1_000_000;
+x = 0b1010_1010;
+x = 0xFF_FF;
+x = 1_0.2_5e1_0;
+x = 1_000n;
+x = 0b1_1.toString();
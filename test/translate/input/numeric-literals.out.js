@@ -0,0 +1,13 @@
+x = 10;
+x = 3;
+x = 15;
+x = 7;
+x = 0xFF;
+x = (5).toString(2);
+x = { 8: true };
+x = 1000000;
+x = 170;
+x = 0xFFFF;
+x = 10.25e10;
+x = 1000n;
+x = (3).toString();
@@ -0,0 +1,4 @@
+var { a, ...rest } = obj;
+var { 'b c': b, 0: c, [key()]: d, ...others } = obj;
+({ a, ...rest } = obj);
+function f({ x, ...y }) {}
@@ -0,0 +1,4 @@
+var __$0, __$1, __$2, __$3, __$4; var a = (__$0 = _esdown.objd(obj), __$0.a), rest = _esdown.objRest(__$0, ['a']);
+var b = (__$2 = _esdown.objd(obj), __$2['b c']), c = __$2[0], d = __$2[__$1 = key()], others = _esdown.objRest(__$2, ['b c', 0, __$1]);
+((__$3 = obj, a = (__$4 = _esdown.objd(__$3), __$4.a), rest = _esdown.objRest(__$4, ['a']), __$3));
+function f(__$0) { var __$1; var x = (__$1 = _esdown.objd(__$0), __$1.x), y = _esdown.objRest(__$1, ['x']); }
@@ -0,0 +1,9 @@
+x = {
+  __proto__: base,
+  a: 1,
+  foo(x) { return super.foo(x); },
+  bar() { return () => super.bar; },
+};
+x = { '__proto__': null };
+x = { __proto__ };
+x = { method() { return super.method(); } };
@@ -0,0 +1,9 @@
+x = _esdown.obj({
+  }).proto({ _: base,
+  }).p({ a: 1,
+  }).p(function(__home) { return { foo: function(x) { return Object.getPrototypeOf(__home.obj).foo.call(this, x); },
+  bar: function() { return function() { return Object.getPrototypeOf(__home.obj).bar; }; },
+} }).obj;
+x = _esdown.obj({ }).proto({ _: null }).obj;
+x = _esdown.obj({ }).c('__proto__', { _: __proto__ }).obj;
+x = _esdown.obj({ }).p(function(__home) { return { method: function() { return Object.getPrototypeOf(__home.obj).method.call(this); } } }).obj;
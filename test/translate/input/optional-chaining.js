@@ -0,0 +1,17 @@
+x = a?.b;
+x = a?.b.c.d;
+x = a?.[key].c;
+x = a?.b?.c;
+x = (a?.b).c;
+x = a?.();
+x = a.b?.();
+x = a?.b.c();
+x = a.b?.c();
+x = delete a?.b;
+x = cond ? a?.b : c;
+x = a?.5:1;
+
+x = a ?? b;
+x = a ?? b ?? c;
+x = (a || b) ?? c;
+x = a?.b ?? c;
@@ -0,0 +1,17 @@
+var __$0, __$1, __$2, __$3, __$4, __$5, __$6, __$7, __$8, __$9, __$10, __$11, __$12, __$13, __$14, __$15, __$16, __$17, __$18; x = ((__$0 = a) == null ? void 0 : __$0.b);
+x = ((__$1 = a) == null ? void 0 : __$1.b.c.d);
+x = ((__$2 = a) == null ? void 0 : __$2[key].c);
+x = ((__$4 = ((__$3 = a) == null ? void 0 : __$3.b)) == null ? void 0 : __$4.c);
+x = (((__$5 = a) == null ? void 0 : __$5.b)).c;
+x = ((__$6 = a) == null ? void 0 : __$6());
+x = ((__$8 = (__$7 = a).b) == null ? void 0 : __$8.call(__$7));
+x = ((__$9 = a) == null ? void 0 : __$9.b.c());
+x = ((__$10 = a.b) == null ? void 0 : __$10.c());
+x = ((__$11 = a) == null ? true : delete __$11.b);
+x = cond ? ((__$12 = a) == null ? void 0 : __$12.b) : c;
+x = a?.5:1;
+
+x = ((__$13 = a) != null ? __$13 : b);
+x = ((__$15 = ((__$14 = a) != null ? __$14 : b)) != null ? __$15 : c);
+x = ((__$16 = (a || b)) != null ? __$16 : c);
+x = ((__$18 = ((__$17 = a) == null ? void 0 : __$17.b)) != null ? __$18 : c);
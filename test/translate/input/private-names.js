@@ -0,0 +1,8 @@
+class A {
+  #x = 1;
+  static #count = 0;
+  #m() { return this.#x; }
+  get #y() { return this.#x; }
+  static has(obj) { return #x in obj; }
+  read(obj) { return obj?.#x + this.#m(); }
+}
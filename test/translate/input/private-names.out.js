@@ -0,0 +1,8 @@
+var A = _esdown.class(function(__, __static) { var A; __({ constructor: A = function() { __fields.call(this); } });
+  var __$x = _esdown.pfield('#x');
+  var __$count = _esdown.pfield('#count');
+  var __$m = _esdown.pmethod('#m', function() { return __$x.get(this); });
+  var __$y = _esdown.paccessor('#y', function() { return __$x.get(this); }, void 0);
+  __static({ has: function(obj) { return __$x.has(obj); }});
+  __({ read: function(obj) { var __$0;  return ((__$0 = obj) == null ? void 0 : __$x.get(__$0)) + __$m.get(this).call(this); }});
+ function __fields() { __$y.init(this); __$m.init(this); __$x.init(this, 1); } return function() { __$count.init(this, 0); };  });
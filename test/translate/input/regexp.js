@@ -0,0 +1,9 @@
+x = /a.b/s;
+x = /a.b/u;
+x = /\u{1F600}+/u;
+x = /[a-z\u{1F600}-\u{1F64F}]/gu;
+x = /[^a-z]/u;
+x = /\S/u;
+x = /(?<year>\d{4})-(?<month>\d{2})/;
+x = /(?<quote>['"]).*?\k<quote>/g;
+x = /[a-z]/gi;
@@ -0,0 +1,9 @@
+x = /a[\s\S]b/;
+x = /a(?:[\uD800-\uDBFF][\uDC00-\uDFFF]|.)b/;
+x = /(?:\uD83D\uDE00)+/;
+x = /(?:\uD83D[\uDE00-\uDE4F]|[a-z])/g;
+x = /(?:[\uD800-\uDBFF][\uDC00-\uDFFF]|[^a-z])/;
+x = /(?:[\uD800-\uDBFF][\uDC00-\uDFFF]|\S)/;
+x = _esdown.namedRegExp(/(\d{4})-(\d{2})/, { year: 1, month: 2 });
+x = _esdown.namedRegExp(/(['"]).*?\1/g, { quote: 1 });
+x = /[a-z]/gi;
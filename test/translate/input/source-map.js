@@ -0,0 +1,6 @@
+const add = (a, b = 1) => a + b;
+
+class Point {
+  constructor(x, y) { this.x = x; this.y = y; }
+  toString() { return `(${ this.x }, ${ this.y })`; }
+}
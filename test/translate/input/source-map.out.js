@@ -0,0 +1,8 @@
+var add = function(a, b) { if (b === void 0) b = 1; return a + b; };
+
+var Point = _esdown.class(function(__) { var Point;
+  __({ constructor: Point = function(x, y) { this.x = x; this.y = y; },
+  toString: function() { return '(' + (this.x) + ', ' + (this.y) + ')'; }});
+ });
+
+//# sourceMappingURL=data:application/json;charset=utf-8;base64,eyJ2ZXJzaW9uIjozLCJzb3VyY2VzIjpbInNvdXJjZS1tYXAuanMiXSwic291cmNlc0NvbnRlbnQiOlsiY29uc3QgYWRkID0gKGEsIGIgPSAxKSA9PiBhICsgYjtcblxuY2xhc3MgUG9pbnQge1xuICBjb25zdHJ1Y3Rvcih4LCB5KSB7IHRoaXMueCA9IHg7IHRoaXMueSA9IHk7IH1cbiAgdG9TdHJpbmcoKSB7IHJldHVybiBgKCR7IHRoaXMueCB9LCAkeyB0aGlzLnkgfSlgOyB9XG59XG4iXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsSUFBTSxHQUFHLEdBQUcsU0FBQyxHQUFHLHFDQUFVLENBQUMsR0FBRyxLQUFFO0FBQ2hDO0FBQ0EsSUFBTTtFQUNKO0VBQ0EscUJBQVcsRUFBRSxPQUFPLE9BQUssSUFBSSxDQUFDLGFBQVEsSUFBSSxDQUFDLFFBQUssQ0FBQztJQUNsRCJ9
\ No newline at end of file
@@ -0,0 +1,5 @@
+x = `a${ b }c${ d, e }${ f }`;
+x = `${ a }`;
+x = [a, ...b];
+f(...args);
+x = { a, ...b, c };
@@ -0,0 +1,5 @@
+x = 'a'.concat(b, 'c').concat((d, e)).concat(f);
+x = ''.concat(a);
+x = (_esdown.spread().s(a).I(b).a);
+f.apply(void 0, (_esdown.spread().I(args).a));
+x = _esdown.obj({ a: a, }).S({ _: b, }).p({ c: c }).obj;
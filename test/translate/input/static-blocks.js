@@ -0,0 +1,8 @@
+class A extends B {
+  static x = 1;
+  static {
+    var y = this.x;
+    let z = super.z;
+  }
+  static w = 2;
+}
@@ -0,0 +1,11 @@
+var A = _esdown.class(B, function(__, __static, __super, __base) { var A; __({ constructor: A = function() { return _esdown.construct(__base, arguments, this); } });
+  
+  
+
+
+
+  
+ return function() { _esdown.obj(this).p({ x: 1 }); (function() { 
+    var y = this.x;
+    var z = __base.z;
+  }).call(this); _esdown.obj(this).p({ w: 2 }); };  });
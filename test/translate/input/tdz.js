@@ -0,0 +1,30 @@
+f();
+
+let x = 1;
+
+function f() {
+  return x;
+}
+
+{
+  typeof y;
+  let y;
+}
+
+switch (x) {
+  case 0:
+    const z = 1;
+    break;
+  default:
+    z;
+}
+
+for (let a of [a]);
+
+class A {
+  static create() {
+    return new A();
+  }
+}
+
+let safe = x + A.create();
@@ -0,0 +1,30 @@
+x = _esdown.tdz; f();
+
+var x = 1;
+
+function f() {
+  return _esdown.tdzCheck(x, 'x');
+}
+
+{ y$0 = _esdown.tdz; 
+  typeof _esdown.tdzCheck(y$0, 'y');
+  var y$0 = void 0;
+}
+
+switch ((z$0 = _esdown.tdz, x)) {
+  case 0:
+    var z$0 = 1;
+    break;
+  default:
+    _esdown.tdzCheck(z$0, 'z');
+}
+
+for (var __$0 = ((a$0 = _esdown.tdz, [_esdown.tdzCheck(a$0, 'a')]))[Symbol.iterator](), __$1; __$1 = __$0.next(), !__$1.done;){ var a$0 = __$1.value; ; }
+
+var A = _esdown.class(function(__, __static) { var A; __({ constructor: A = function() {} });
+  __static({ create: function() {
+    return new A();
+  }});
+ });
+
+var safe = x + A.create();
@@ -0,0 +1,5 @@
+_esdown.asyncModule(exports, function() { exports.get = get;  var __$0, __$1; var get, load, config, x$0; function get() { return config; } return _esdown.async(_esdown.gen(function(__g) { while (1) switch (__g.p = __g.n) {  case 0: load = _M0.load; 
+__g.n = 1; return load();  case 1: config = __g.sent; 
+
+__$0 = _esdown.asyncIter(config.items);  case 2: __g.n = 3; return __$0.next();  case 3: __$1 = __g.sent; if (__$1.done) { __g.n = 6; break; } if (!(__$1.value && typeof __$1.value.then === 'function')) { __g.n = 5; break; } __g.n = 4; return __$1.value;  case 4: __$1.value = __g.sent;  case 5: x$0 = __$1.value; {} __g.n = 2; break;  case 6: 
+__g.n = 7; return config.value;  case 7: exports['default'] = __g.sent;  exports.config = config; exports.get = get;   default: return __g.stop(); } }, this)); })
@@ -0,0 +1,5 @@
+import { load } from './loader.js';
+export let config = await load();
+export function get() { return config; }
+for await (let x of config.items) {}
+export default await config.value;
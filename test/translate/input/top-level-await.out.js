@@ -0,0 +1,5 @@
+_esdown.asyncModule(exports, function() { return _esdown.async(function*() { exports.get = get; var load = _M0.load;
+var config = (yield load());
+function get() { return config; }
+for (var __$0 = _esdown.asyncIter(config.items), __$1; __$1 = (yield __$0.next()), __$1.value && typeof __$1.value.then === 'function' && (__$1.value = (yield __$1.value)), !__$1.done;) { var x$0 = __$1.value; }
+exports['default'] = (yield config.value); exports.config = config; exports.get = get; }.call(this)); })
@@ -0,0 +1,10 @@
+x = "\u{1F600}";
+x = 'caf\u{E9}\\u{41}';
+x = `\u{1F600}${ y }`;
+var caf\u{E9} = 1;
+var \u{1D465} = 2;
+var 𝑦 = 3;
+x = { 𝑥: 𝑦, 𝑦 };
+x = o.𝑥 + o.\u{1D465};
+var 𠮷 = 1;
+var _u20BB7 = 2;
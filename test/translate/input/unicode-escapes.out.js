@@ -0,0 +1,10 @@
+x = "\uD83D\uDE00";
+x = 'caf\u00E9\\u{41}';
+x = '\uD83D\uDE00' + (y) + '';
+var caf\u00E9 = 1;
+var _u1D465 = 2;
+var _u1D466 = 3;
+x = { '\uD835\uDC65': _u1D466, '\uD835\uDC66': _u1D466 };
+x = o['\uD835\uDC65'] + o['\uD835\uDC65'];
+var _u20BB7$0 = 1;
+var _u20BB7 = 2;